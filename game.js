@@ -1,48 +1,80 @@
+import { configDateToISO, decodeAnswer, getWrongHashes, isEncodedAnswer } from './lib/answer-codec.js';
+import { Game, GameStatus, MAX_TRIES, getMaxTries } from './lib/game-engine.js';
+import { buildProgressExport, encodeProgressCode, mergeCompletions, parseProgressExport } from './lib/progress-transfer.js';
+import { getSnapshotKey, resolveArticleSource } from './lib/article-sources.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, createTranslator, formatDate, formatMonth, getWeekdayNames } from './lib/i18n.js';
+import { DEFAULT_PUZZLE_CLOCK, FIRST_GAME_DATE, addDays, getNextPuzzleStart, getPuzzleDate, parsePuzzleNumber, puzzleNumberForDate, resolvePuzzleClock } from './lib/puzzle-clock.js';
+import { buildPuzzle, getReplacements, isLegacyEntry, withAnswerPairs } from './lib/puzzle-entry.js';
+import { CARD_HEIGHT, CARD_WIDTH, drawResultCard } from './lib/result-card.js';
+import { buildSchedule, getPastPuzzleDates } from './lib/schedule.js';
+import { calculateStats, calculateStreak, isCompleted, isLive, isWon } from './lib/stats.js';
+import englishMessages from './locales/en.js';
+
+// Half-played games untouched for this long are dropped from dailyTypoProgress
+const PROGRESS_MAX_AGE_DAYS = 30;
+
 class DailyTypoGame {
     constructor() {
         this.currentArticle = null;
-        this.errorWord = null;
-        this.originalWord = null;
-        this.errorWords = [];
-        this.originalWords = [];
-        this.wrongOccurrence = null; // Track which occurrence of wrong word to replace
-        this.errorSentence = null;
-        this.errorType = null;
-        this.triesRemaining = 3; // 3 total attempts = 2 mistakes allowed
-        this.maxTries = 3;
+        this.engine = new Game(); // Rules and state of the puzzle on screen - the page only renders it
+        this.encodedAnswer = null; // Encoded answer of the current puzzle, decoded again for reveal
+        this.resultCard = null; // { dateString, promise, blob } drawn when the completion modal opens
         this.selectedWords = [];
+        this.selectionAnchor = null; // Last clicked word, for shift-click range selection
+        this.focusedWord = null; // The one word in the tab order (roving tabindex)
+        this.dragSelection = null; // { start, baseline, moved } while dragging across words
         this.articlesConfig = null;
-        this.lastGameResult = null; // Track last game result: 'win', 'loss', or null
-        this.gameStartTime = null; // Track when game started for timer
-        this.elapsedTime = null; // Store elapsed time when game completes
+        this.schedule = new Map(); // YYYY-MM-DD -> article, built from article dates and scheduled entries
+        this.articleSnapshots = {}; // Frozen article summaries keyed by getSnapshotKey()
+        this.currentSource = null; // Article source of the puzzle on screen, for its links
+        this.lastFetchError = null; // Why the last article fetch failed, to tell offline apart from other errors
         this.countdownInterval = null; // Track countdown interval
         
+        // UI language - English until the config names the edition's locale
+        this.locale = DEFAULT_LOCALE;
+        this.t = createTranslator(DEFAULT_LOCALE, englishMessages);
+        
         // Daily system
+        this.puzzleClock = DEFAULT_PUZZLE_CLOCK; // Replaced by the config's puzzleClock once it has loaded
         this.currentDate = new Date();
         this.currentDateString = this.getDateString(this.currentDate);
         this.selectedDate = null; // For archive mode
+        this.playMode = 'daily'; // 'daily' (live, on its own day), 'archive' or 'random'
         
         // Archive/completion tracking
         this.completions = this.loadCompletions();
+        this.progress = this.loadProgress(); // In-progress games keyed by date, so a reload can't reset them
+        this.settings = this.loadSettings();
+        
+        // Archive view state
+        this.archiveView = 'list'; // 'list' or 'calendar'
+        this.archiveMonth = null; // YYYY-MM shown in the calendar view
+        this.archiveFilters = { search: '', category: '', status: '' };
+        
+        // Random play never repeats the last few puzzles it served
+        this.randomHistorySize = 5;
+        this.recentRandom = this.loadRecentRandom();
+        
+        // Blitz: past puzzles back to back against one clock
+        this.blitz = null; // { queue, index, endsAt, score, results, timer, advanceTimeout } during a run
+        this.blitzDurationMs = 5 * 60 * 1000;
+        this.blitzPauseMs = 1500; // How long a solved/failed puzzle stays up before the next one
+        this.blitzScores = this.loadBlitzScores(); // Local best runs - kept apart from the completions
+        
+        // Offline support
+        this.precacheDays = 3; // Days after today whose summaries are cached ahead of time
         
         this.init();
     }
     
     getDateString(date) {
-        // Format as YYYY-MM-DD in local time to avoid timezone shifting
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        // Puzzle day (YYYY-MM-DD) of a moment, on the puzzle clock - the config's, or the device's timezone without one
+        return getPuzzleDate(date, this.puzzleClock);
     }
     
     isFutureDate(dateString) {
-        // Check if a date is in the future (after today)
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const targetDate = dateString.includes('T') ? new Date(dateString) : new Date(dateString + 'T00:00:00');
-        targetDate.setHours(0, 0, 0, 0);
-        return targetDate > today;
+        // Check if a date is in the future (after today on the puzzle clock)
+        return dateString.slice(0, 10) > this.getDateString(new Date());
     }
     
     getSpecialDayMessage(dateString, article = null) {
@@ -59,61 +91,94 @@ class DailyTypoGame {
         // First game: October 27, 2025 = #1
         // Each subsequent day = #2, #3, etc.
         // Today = highest number
-        const firstGameDate = new Date('2025-10-27T00:00:00');
-        const targetDate = dateString.includes('T') ? new Date(dateString) : new Date(dateString + 'T00:00:00');
-        
-        // If date is before first game, return 1 (first game)
-        if (targetDate < firstGameDate) {
-            return 1;
-        }
-        
-        const diffTime = targetDate - firstGameDate;
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        return diffDays + 1; // First game = #1, next day = #2, etc.
+        return puzzleNumberForDate(dateString.slice(0, 10));
     }
     
     getValidGameDate(dateString) {
         // Ensure date is on or after the first game date (October 27, 2025)
-        const firstGameDate = new Date('2025-10-27T00:00:00');
-        const targetDate = dateString.includes('T') ? new Date(dateString) : new Date(dateString + 'T00:00:00');
+        const targetDate = dateString.slice(0, 10);
+        return targetDate < FIRST_GAME_DATE ? FIRST_GAME_DATE : targetDate;
+    }
+    
+    getRouteDate() {
+        // Puzzle date from the address bar: ?p=12, #/puzzle/12 or #/2025-11-07 (null for today or an unknown route)
+        const params = new URLSearchParams(window.location.search);
+        const hash = window.location.hash.replace(/^#\/?/, '');
+        let dateString = null;
         
-        // If date is before first game, return first game date
-        if (targetDate < firstGameDate) {
-            return this.getDateString(firstGameDate);
+        const puzzleNumber = params.get('p') || (hash.match(/^puzzle\/(\d+)$/) || [])[1];
+        if (puzzleNumber) {
+            dateString = parsePuzzleNumber(puzzleNumber, this.getDateString(new Date()));
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(hash) && !isNaN(new Date(hash + 'T00:00:00'))) {
+            dateString = this.getValidGameDate(hash);
         }
         
-        return this.getDateString(targetDate);
+        if (!dateString || this.isFutureDate(dateString)) return null;
+        return dateString;
     }
     
-    calculateDateFromPuzzleNumber(puzzleNumber) {
-        // Calculate date from puzzle number
-        // Puzzle #1 = October 27, 2025
-        const firstGameDate = new Date('2025-10-27T00:00:00');
-        const targetDate = new Date(firstGameDate);
-        targetDate.setDate(firstGameDate.getDate() + (puzzleNumber - 1));
-        return this.getDateString(targetDate);
+    getPuzzleUrl(dateString) {
+        // Today's puzzle lives at the bare path; every other day gets ?p=<puzzle number>
+        const path = window.location.pathname;
+        if (!dateString || dateString === this.currentDateString) return path;
+        return `${path}?p=${this.calculatePuzzleNumber(dateString)}`;
     }
     
-    getArticleForDate(dateString) {
-        // First check scheduled articles for this specific date
-        if (this.articlesConfig && this.articlesConfig.scheduled && this.articlesConfig.scheduled[dateString]) {
-            return this.articlesConfig.scheduled[dateString];
+    updateRoute(dateString, replace = false) {
+        // Keep the address bar on the puzzle being played, adding a history entry when the player navigates
+        const url = this.getPuzzleUrl(dateString);
+        if (url === window.location.pathname + window.location.search + window.location.hash) return;
+        if (replace) {
+            history.replaceState({ date: dateString }, '', url);
+        } else {
+            history.pushState({ date: dateString }, '', url);
         }
-        
-        // Fallback to cycling through articles array
-        if (!this.articlesConfig || !this.articlesConfig.articles || this.articlesConfig.articles.length === 0) {
-            return null;
+    }
+    
+    buildSchedule() {
+        // Each article is shown on its own DD.MM.YYYY date; scheduled entries override articles on the same day
+        this.schedule = buildSchedule(this.articlesConfig);
+    }
+    
+    getArticleForDate(dateString) {
+        return this.schedule.get(dateString) || null;
+    }
+    
+    getPastPuzzleDates() {
+        // Dates with a puzzle, from the first game up to yesterday, oldest first
+        return getPastPuzzleDates(this.schedule, this.currentDateString);
+    }
+    
+    getAnswerKeyDate(article, dateString) {
+        // Encoded answers are keyed by the puzzle's own date (scheduled entries may omit it)
+        return configDateToISO(article.date) || dateString;
+    }
+    
+    async revealAnswer() {
+        // Encoded puzzles only learn the correct word once the game is over
+        if (!this.encodedAnswer || this.engine.hasCorrectWords()) return;
+        const { answer, dateString } = this.encodedAnswer;
+        const pairs = await decodeAnswer(answer, dateString);
+        this.engine.setCorrectWords(pairs.map(pair => pair.correct));
+    }
+    
+    getCorrectionText(asHtml = false) {
+        // "wrong" should be "correct" for every typo - the completion modal highlights both words
+        const quote = (word, className) => asHtml ? `<span class="${className}">"${word}"</span>` : `"${word}"`;
+        const correction = (wrong, correct) => this.t('game.correction', {
+            wrong: quote(wrong, 'typo-word'),
+            correct: quote(correct, 'correct-word')
+        });
+        const typos = this.engine.typos;
+        if (typos.length > 1) {
+            return typos.map(typo => correction(typo.wrong.toLocaleLowerCase(this.locale), typo.correct.toLocaleLowerCase(this.locale))).join(', ');
         }
-        
-        const puzzleNumber = this.calculatePuzzleNumber(dateString);
-        const articleIndex = (puzzleNumber - 1) % this.articlesConfig.articles.length;
-        return this.articlesConfig.articles[articleIndex];
+        return correction(typos[0].wrong, typos[0].correct);
     }
     
-    getWikipediaUrl(title) {
-        // Convert title to Wikipedia URL format
-        const encodedTitle = encodeURIComponent(title.replace(/\s+/g, '_'));
-        return `https://simple.wikipedia.org/wiki/${encodedTitle}`;
+    getArticleSource(article) {
+        // Where a config entry's article text comes from (see lib/article-sources.js)
+        return resolveArticleSource(article, this.articlesConfig);
     }
     
     loadCompletions() {
@@ -134,73 +199,463 @@ class DailyTypoGame {
         }
     }
     
-    markCompleted(dateString) {
-        this.completions[dateString] = {
-            completed: true,
-            won: true,
-            completedAt: new Date().toISOString()
+    loadSettings() {
+        // Reduced motion starts out following the system preference
+        const prefersReducedMotion = Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        const defaults = { hardMode: false, showTimer: true, reducedMotion: prefersReducedMotion, fontSize: 'medium', theme: 'light' };
+        try {
+            const stored = localStorage.getItem('dailyTypoSettings');
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return defaults;
+        }
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem('dailyTypoSettings', JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+    
+    toggleHardMode() {
+        // Once an attempt is spent (or a typo found) the game's mode can't change any more
+        if (this.engine.isUnderway()) {
+            alert(this.t('settings.hardModeLocked'));
+            return;
+        }
+        this.settings.hardMode = !this.settings.hardMode;
+        this.saveSettings();
+        this.syncSettingsForm();
+        
+        // A puzzle on screen that hasn't been attempted yet switches along with the setting
+        // (blitz puzzles are always played in normal mode)
+        if (this.currentArticle && this.engine.isPlaying() && !this.blitz) {
+            this.engine.setHardMode(this.settings.hardMode);
+            this.updateMistakesDisplay();
+            this.updateHardModeDisplay();
+            this.saveProgress();
+        }
+    }
+    
+    updateSetting(name, value) {
+        // Hard mode has its own rules about when it may change
+        if (name === 'hardMode') {
+            if (value !== this.settings.hardMode) this.toggleHardMode();
+            this.syncSettingsForm();
+            return;
+        }
+        this.settings[name] = value;
+        this.saveSettings();
+        this.applySettings();
+    }
+    
+    applySettings() {
+        // Every setting takes effect immediately
+        const root = document.documentElement;
+        const fontScales = { small: 0.9, medium: 1, large: 1.15, 'x-large': 1.3 };
+        
+        if (this.settings.theme && this.settings.theme !== 'light') {
+            root.setAttribute('data-theme', this.settings.theme);
+        } else {
+            root.removeAttribute('data-theme');
+        }
+        root.classList.toggle('reduced-motion', this.settings.reducedMotion);
+        root.style.setProperty('--article-font-scale', fontScales[this.settings.fontSize] || 1);
+        
+        const timerEl = document.getElementById('completion-timer');
+        if (timerEl) timerEl.style.display = this.settings.showTimer ? '' : 'none';
+    }
+    
+    syncSettingsForm() {
+        const checkboxes = { 'setting-hard-mode': 'hardMode', 'setting-show-timer': 'showTimer', 'setting-reduced-motion': 'reducedMotion' };
+        Object.keys(checkboxes).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.checked = Boolean(this.settings[checkboxes[id]]);
+        });
+        const selects = { 'setting-font-size': 'fontSize', 'setting-theme': 'theme' };
+        Object.keys(selects).forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = this.settings[selects[id]];
+        });
+    }
+    
+    showSettingsModal() {
+        const modal = document.getElementById('settings-modal');
+        if (!modal) return;
+        this.syncSettingsForm();
+        document.body.style.overflow = 'hidden';
+        modal.style.display = 'flex';
+        const firstSetting = document.getElementById('setting-hard-mode');
+        if (firstSetting) firstSetting.focus();
+    }
+    
+    closeSettingsModal() {
+        const modal = document.getElementById('settings-modal');
+        if (modal && modal.style.display !== 'none') {
+            modal.style.display = 'none';
+            // Restore body scroll
+            document.body.style.overflow = '';
+        }
+    }
+    
+    updateHardModeDisplay() {
+        // Hard mode gives no clues beyond the text itself
+        const categoryEl = document.getElementById('article-category');
+        if (categoryEl) categoryEl.style.display = this.engine.hardMode ? 'none' : '';
+        document.querySelectorAll('#article-content .article-thumbnail').forEach(el => {
+            el.style.display = this.engine.hardMode ? 'none' : '';
+        });
+    }
+    
+    loadProgress() {
+        try {
+            const stored = localStorage.getItem('dailyTypoProgress');
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading progress:', error);
+            return {};
+        }
+    }
+    
+    saveProgress() {
+        // Snapshot of the game being played - only while it's running
+        // Blitz puzzles are never resumed, so they aren't saved either
+        if (!this.currentArticle || !this.engine.startedAt || !this.engine.isPlaying() || this.playMode === 'blitz') return;
+        const dateString = this.selectedDate || this.currentDateString;
+        
+        this.progress[dateString] = {
+            ...this.engine.toProgress(),
+            selectedWords: this.selectedWords.filter(el => !el.classList.contains('word-correct')).map(el => this.getTokenIndex(el))
         };
-        this.saveCompletions();
+        this.pruneProgress(dateString);
+        this.saveProgressStore();
+    }
+    
+    pruneProgress(keepDateString, now = Date.now()) {
+        // Drops games that will never be resumed: ones finished after they were saved (on another
+        // device, then imported) and ones not started in the last PROGRESS_MAX_AGE_DAYS.
+        // The game being saved is always kept, however long ago it was started
+        const maxAgeMs = PROGRESS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        Object.entries(this.progress).forEach(([dateString, saved]) => {
+            if (dateString === keepDateString) return;
+            const startedAt = saved.gameStartTime || 0;
+            const completion = this.completions[dateString];
+            const finishedSince = completion && completion.completed &&
+                (!completion.completedAt || Date.parse(completion.completedAt) >= startedAt);
+            if (finishedSince || now - startedAt > maxAgeMs) {
+                delete this.progress[dateString];
+            }
+        });
+    }
+    
+    clearProgress(dateString) {
+        if (!this.progress[dateString]) return;
+        delete this.progress[dateString];
+        this.saveProgressStore();
     }
     
-    markGameOver(dateString) {
-        this.completions[dateString] = {
+    saveProgressStore() {
+        try {
+            localStorage.setItem('dailyTypoProgress', JSON.stringify(this.progress));
+        } catch (error) {
+            console.error('Error saving progress:', error);
+        }
+    }
+    
+    async restoreProgress(dateString) {
+        // Puts a saved in-progress game back on the freshly displayed article
+        const saved = this.progress[dateString];
+        if (!saved) return false;
+        
+        this.engine.restore(saved);
+        const tokens = this.getArticleTokens();
+        const byIndex = indexes => (indexes || []).map(index => tokens[index]).filter(Boolean);
+        
+        byIndex([...this.engine.foundTokens]).forEach(el => {
+            el.classList.add('word-correct');
+            this.selectedWords.push(el);
+        });
+        byIndex([...this.engine.missedTokens]).forEach(el => el.classList.add('word-missed'));
+        byIndex(saved.selectedWords).forEach(el => {
+            if (el.classList.contains('word-correct')) return;
+            el.classList.add('word-selected');
+            this.selectedWords.push(el);
+        });
+        this.syncWordAria();
+        
+        // Hints already paid for are shown again, free of charge
+        const levels = this.engine.getHintLevels();
+        const target = this.engine.getHintTarget();
+        if (target.tokens.length > 0) {
+            for (let level = 0; level < this.engine.hintsUsed; level++) {
+                await this.showHint(levels[level], target.typoIndex, target.tokens);
+            }
+        }
+        
+        this.updateTypoProgress();
+        this.updateMistakesDisplay();
+        this.showFloatingSubmit();
+        return true;
+    }
+    
+    markCompleted(dateString) {
+        // Saves the result of the game that just ended - a win, or a game over that locks the puzzle
+        const result = this.engine.getResult();
+        this.saveCompletion(dateString, {
             completed: true,
-            won: false,
-            completedAt: new Date().toISOString()
-        };
+            won: result.won,
+            completedAt: new Date().toISOString(),
+            mode: this.playMode,
+            attempts: result.attempts,
+            timeMs: result.timeMs,
+            hintsUsed: result.hintsUsed,
+            history: result.history,
+            hardMode: result.hardMode
+        });
+    }
+    
+    saveCompletion(dateString, completion) {
+        // The game is over, so there's nothing left to resume
+        this.clearProgress(dateString);
+        // A live result is final - replaying that puzzle from the archive must not overwrite it
+        if (this.isLive(dateString) && completion.mode !== 'daily') {
+            return;
+        }
+        this.completions[dateString] = completion;
         this.saveCompletions();
     }
     
+    formatElapsedTime(elapsedMs) {
+        const elapsedSeconds = Math.floor(elapsedMs / 1000);
+        const minutes = Math.floor(elapsedSeconds / 60);
+        const seconds = elapsedSeconds % 60;
+        return minutes > 0 ? this.t('time.minutesSeconds', { minutes, seconds }) : this.t('time.seconds', { seconds });
+    }
+    
     isCompleted(dateString) {
-        return this.completions[dateString] && this.completions[dateString].completed;
+        return isCompleted(this.completions, dateString);
     }
     
     isWon(dateString) {
-        const completion = this.completions[dateString];
-        if (!completion) return false;
-        // Backward compatibility: if 'won' field doesn't exist, assume it's a win
-        // (old completions were only saved for wins, not game overs)
-        return completion.won !== false;
+        return isWon(this.completions, dateString);
+    }
+    
+    isLive(dateString) {
+        // Whether the puzzle was played on its own day rather than caught up later
+        return isLive(this.completions, dateString);
     }
     
     async init() {
         try {
+            this.applySettings();
             this.setupEventListeners();
+            this.updateOnlineStatus();
             await this.loadArticlesConfig();
-            await this.loadDailyGame();
+            await this.loadLocale(this.articlesConfig.locale);
+            await this.loadArticleSnapshots();
+            this.registerServiceWorker();
+            // Open the puzzle the link points to, tidying the address bar without a new history entry
+            const routeDate = this.getRouteDate();
+            this.updateRoute(routeDate || this.currentDateString, true);
+            await this.loadDailyGame(routeDate, false, 'archive', true);
             this.updateDailyInfo();
             this.updateStats();
         } catch (error) {
             console.error('Error initializing game:', error);
-            alert(`Failed to initialize game: ${error.message || 'Unknown error'}`);
+            alert(this.t('error.init', { message: error.message || this.t('error.unknown') }));
             this.showLoading(false);
         }
     }
     
     calculateStreak() {
-        let streak = 0;
-        const today = new Date();
+        // Only live wins count - archive and random catch-up plays can't fill gaps
+        return calculateStreak(this.completions, this.getDateString(new Date()));
+    }
+    
+    calculateStats() {
+        return calculateStats(this.completions, {
+            today: this.getDateString(new Date()),
+            maxTries: MAX_TRIES
+        });
+    }
+    
+    updateStats() {
+        const streakValueEl = document.getElementById('streak-value');
+        if (streakValueEl) {
+            streakValueEl.textContent = this.calculateStreak();
+        }
+    }
+    
+    showStatsModal() {
+        const modal = document.getElementById('stats-modal');
+        const statsGrid = document.getElementById('stats-grid');
+        const statsTimes = document.getElementById('stats-times');
+        const statsDistribution = document.getElementById('stats-distribution');
         
-        for (let i = 0; i < 365; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateString = this.getDateString(date);
-            
-            if (this.isWon(dateString)) {
-                streak++;
-            } else if (i > 0) {
-                // If we find a gap, stop counting
-                break;
+        if (!modal || !statsGrid || !statsTimes || !statsDistribution) return;
+        
+        const stats = this.calculateStats();
+        
+        const summary = [
+            { value: stats.played, label: this.t('stats.played') },
+            { value: stats.winPercent, label: this.t('stats.winPercent') },
+            { value: stats.currentStreak, label: this.t('stats.currentStreak') },
+            { value: stats.maxStreak, label: this.t('stats.maxStreak') }
+        ];
+        statsGrid.innerHTML = summary.map(item => `
+            <div class="stats-item">
+                <span class="stats-value">${item.value}</span>
+                <span class="stats-label">${item.label}</span>
+            </div>
+        `).join('');
+        
+        const hardModeNote = document.getElementById('stats-hard-mode');
+        if (hardModeNote) {
+            hardModeNote.textContent = this.t('stats.hardModeWins', { hardModeWins: stats.hardModeWins, count: stats.wins });
+            hardModeNote.style.display = stats.hardModeWins > 0 ? 'block' : 'none';
+        }
+        
+        const times = [
+            { value: stats.averageTimeMs, label: this.t('stats.averageTime') },
+            { value: stats.bestTimeMs, label: this.t('stats.bestTime') }
+        ];
+        statsTimes.innerHTML = times.map(item => `
+            <div class="stats-item">
+                <span class="stats-value">${item.value !== null ? this.formatElapsedTime(item.value) : '--'}</span>
+                <span class="stats-label">${item.label}</span>
+            </div>
+        `).join('');
+        
+        // Bars are scaled against the most common attempt count
+        const counts = Object.values(stats.distribution);
+        const maxCount = Math.max(1, ...counts);
+        statsDistribution.innerHTML = Object.keys(stats.distribution).map(attempt => {
+            const count = stats.distribution[attempt];
+            const width = Math.max(8, Math.round((count / maxCount) * 100));
+            return `
+                <div class="distribution-row">
+                    <span class="distribution-label">${attempt}</span>
+                    <span class="distribution-bar${count > 0 ? ' filled' : ''}" style="width: ${width}%;">${count}</span>
+                </div>
+            `;
+        }).join('');
+        
+        document.body.style.overflow = 'hidden';
+        modal.style.display = 'flex';
+    }
+    
+    getProgressExport() {
+        return buildProgressExport(this.completions, this.calculateStats());
+    }
+    
+    exportProgress() {
+        const data = this.getProgressExport();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `daily-typo-progress-${this.getDateString(new Date())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    copyProgressCode() {
+        const code = encodeProgressCode(this.getProgressExport());
+        const button = document.getElementById('copy-progress-code-btn');
+        const showCode = () => prompt(this.t('transfer.copyCodePrompt'), code);
+        
+        if (!navigator.clipboard || !navigator.clipboard.writeText) {
+            showCode();
+            return;
+        }
+        navigator.clipboard.writeText(code).then(() => {
+            if (button) {
+                const originalText = button.textContent;
+                button.textContent = this.t('common.copied');
+                setTimeout(() => {
+                    button.textContent = originalText;
+                }, 2000);
             }
+        }).catch(err => {
+            console.error('Failed to copy progress code:', err);
+            showCode();
+        });
+    }
+    
+    getImportErrorMessage(error) {
+        // parseProgressExport() says what's wrong as a code - the English message is only for logs
+        const params = error.params || {};
+        const date = params.date && error.code !== 'invalid-date' ? this.formatShortDate(params.date) : params.date;
+        const messages = {
+            'not-progress': () => this.t('transfer.error.notProgress'),
+            'unsupported-version': () => this.t('transfer.error.unsupportedVersion', { version: params.version }),
+            'invalid-date': () => this.t('transfer.error.invalidDate', { date }),
+            'invalid-entry': () => this.t('transfer.error.invalidEntry', { date }),
+            'invalid-field': () => this.t('transfer.error.invalidField', { date, field: params.field })
+        };
+        if (!messages[error.code]) {
+            console.error('Error importing progress:', error);
+            return this.t('error.unknown');
+        }
+        return messages[error.code]();
+    }
+    
+    importProgress(text) {
+        let incoming;
+        try {
+            incoming = parseProgressExport(text);
+        } catch (error) {
+            alert(this.t('transfer.importFailed', { message: this.getImportErrorMessage(error) }));
+            return;
         }
         
-        return streak;
+        const { merged, added, updated, unchanged } = mergeCompletions(this.completions, incoming);
+        const changed = [...added, ...updated];
+        if (changed.length === 0) {
+            alert(this.t('transfer.nothingToImport', { count: unchanged }));
+            return;
+        }
+        
+        this.completions = merged;
+        this.saveCompletions();
+        // Finished elsewhere, so there's nothing left to resume here
+        changed.forEach(dateString => this.clearProgress(dateString));
+        this.updateStats();
+        
+        const stats = this.calculateStats();
+        const lines = [
+            this.t('transfer.imported'),
+            '',
+            this.t('transfer.newPuzzles', { count: added.length }),
+            this.t('transfer.updatedPuzzles', { count: updated.length }),
+            this.t('transfer.upToDatePuzzles', { count: unchanged }),
+            '',
+            this.t('transfer.statsSummary', { played: stats.played, winPercent: stats.winPercent, streak: stats.currentStreak })
+        ];
+        alert(lines.join('\n'));
+        
+        const statsModal = document.getElementById('stats-modal');
+        if (statsModal && statsModal.style.display === 'flex') {
+            this.showStatsModal();
+        }
+        // Show the imported result if it's for the puzzle on screen
+        if (this.selectedDate && changed.includes(this.selectedDate)) {
+            this.loadDailyGame(this.selectedDate);
+        }
     }
     
-    updateStats() {
-        // Streak calculation is available but UI element not yet implemented
-        // const streak = this.calculateStreak();
+    closeStatsModal() {
+        const modal = document.getElementById('stats-modal');
+        if (modal) {
+            modal.style.display = 'none';
+            // Restore body scroll
+            document.body.style.overflow = '';
+        }
     }
     
     async loadArticlesConfig() {
@@ -223,73 +678,102 @@ class DailyTypoGame {
                     this.articlesConfig.scheduled = {};
                 }
                 
+                this.applyPuzzleClock(this.articlesConfig.puzzleClock);
+                this.buildSchedule();
+                
             } else {
                 console.error(`⚠ Failed to load articles-config.json: HTTP ${response.status}`);
                 this.articlesConfig = { version: "2.0", articles: [], scheduled: {} };
+                this.buildSchedule();
             }
         } catch (error) {
             console.error('Error loading articles-config.json:', error);
                 this.articlesConfig = { version: "2.0", articles: [], scheduled: {} };
+                this.buildSchedule();
         }
     }
     
-    applyWordReplacement(text, correctWord, wrongWord, occurrence = null) {
-        // Escape special regex characters in the correct word
-        const escapedCorrect = correctWord.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        
-        // If occurrence is specified, replace only that specific occurrence (1-based index)
-        if (occurrence !== null && occurrence > 0) {
-            let matchCount = 0;
-            const targetOccurrence = occurrence;
-            
-            // Try case-sensitive match first
-            if (text.includes(correctWord)) {
-                return text.replace(new RegExp(escapedCorrect, 'g'), (match) => {
-                    matchCount++;
-                    if (matchCount === targetOccurrence) {
-                        return wrongWord;
-                    }
-                    return match; // Keep original for other occurrences
-                });
-            }
-            
-            // If not found, try case-insensitive match
-            const regex = new RegExp(escapedCorrect, 'gi');
-            return text.replace(regex, (match) => {
-                matchCount++;
-                if (matchCount === targetOccurrence) {
-                    // Preserve case of original match
-                    if (match[0] === match[0].toUpperCase()) {
-                        return wrongWord.charAt(0).toUpperCase() + wrongWord.slice(1).toLowerCase();
-                    }
-                    return wrongWord.toLowerCase();
+    applyPuzzleClock(clock) {
+        // "Today" is worked out again once the configured clock is known
+        this.puzzleClock = resolvePuzzleClock(clock);
+        this.currentDateString = this.getDateString(this.currentDate);
+    }
+    
+    async loadLocale(locale) {
+        // The config's locale picks the UI language; English fills in anything a translation lacks
+        if (locale && locale !== DEFAULT_LOCALE) {
+            if (!SUPPORTED_LOCALES.includes(locale)) {
+                console.warn(`Ignoring unknown locale "${locale}" in the config, using ${DEFAULT_LOCALE}`);
+            } else {
+                try {
+                    const { default: messages } = await import(`./locales/${locale}.js`);
+                    this.locale = locale;
+                    this.t = createTranslator(locale, messages, englishMessages);
+                } catch (error) {
+                    console.error(`Error loading locale "${locale}":`, error);
                 }
-                return match; // Keep original for other occurrences
-            });
-        }
-        
-        // Default behavior: replace all occurrences (backward compatible)
-        // Try to match with case sensitivity first (exact match)
-        if (text.includes(correctWord)) {
-            return text.replace(new RegExp(escapedCorrect, 'g'), wrongWord);
-        }
-        
-        // If not found, try case-insensitive match
-        const regex = new RegExp(escapedCorrect, 'gi');
-        return text.replace(regex, (match) => {
-            // Preserve case of original match
-            if (match[0] === match[0].toUpperCase()) {
-                return wrongWord.charAt(0).toUpperCase() + wrongWord.slice(1).toLowerCase();
             }
-            return wrongWord.toLowerCase();
+        }
+        document.documentElement.lang = this.locale;
+        this.applyTranslations();
+    }
+    
+    applyTranslations() {
+        // Static page text names its message: data-i18n for plain text, data-i18n-html for text
+        // with markup, and data-i18n-<attribute> for attributes such as aria-label
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = this.t(el.dataset.i18nHtml);
+        });
+        ['aria-label', 'placeholder', 'title'].forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
         });
     }
     
-    async loadDailyGame(dateString = null, allowFuture = false) {
+    async loadArticleSnapshots() {
+        // Sibling file written by scripts/snapshot-articles.js - shipped empty until puzzles are snapshotted
         try {
+            const response = await fetch(`article-snapshots.json?t=${Date.now()}`, {
+                cache: 'no-store'
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
+                this.articleSnapshots = data.snapshots || {};
+            }
+        } catch (error) {
+            console.error('Error loading article-snapshots.json:', error);
+            this.articleSnapshots = {};
+        }
+    }
+    
+    getArticleSnapshot(article) {
+        const title = article.title;
+        const snapshot = this.articleSnapshots[getSnapshotKey(title, this.getArticleSource(article).id)];
+        if (!snapshot || !snapshot.extract) return null;
+        
+        return {
+            title: snapshot.title || title,
+            extract: snapshot.extract,
+            thumbnail: snapshot.thumbnail || null,
+            description: snapshot.description || null,
+            category: this.getArticleCategory(snapshot.title || title, snapshot.description),
+            revision: snapshot.revision || null
+        };
+    }
+    
+    async loadDailyGame(dateString = null, allowFuture = false, mode = 'archive', fromHistory = false) {
+        try {
+            // Going anywhere else abandons a blitz run
+            if (this.blitz && mode !== 'blitz') {
+                this.stopBlitz();
+            }
             this.resetGameState();
             this.hidePostGameMessage();
-            this.lastGameResult = null; // Reset game result when loading new game
             this.showLoading(true);
             
             // Ensure we use a valid game date (on or after Oct 27, 2025)
@@ -303,108 +787,88 @@ class DailyTypoGame {
             }
             
             this.selectedDate = targetDate;
+            // Blitz puzzles replace each other in the history instead of piling up. A load that follows
+            // the address bar (Back/Forward, or the link the page was opened with) only corrects it -
+            // pushing there would cut off the forward history
+            this.updateRoute(targetDate, mode === 'blitz' || fromHistory);
             
-            // Check if we have any articles (either in array or scheduled)
-            const hasArticles = this.articlesConfig && 
-                               ((this.articlesConfig.articles && this.articlesConfig.articles.length > 0) ||
-                                (this.articlesConfig.scheduled && Object.keys(this.articlesConfig.scheduled).length > 0));
+            // A resumed game keeps the mode it was started in; new games follow the setting
+            const saved = mode === 'blitz' ? null : this.progress[targetDate];
+            const hardMode = mode === 'blitz' ? false : saved ? Boolean(saved.hardMode) : this.settings.hardMode;
+            this.engine.setHardMode(hardMode);
             
-            if (!hasArticles) {
+            // Only the real current day's puzzle counts as a live play
+            this.playMode = targetDate === this.getDateString(new Date()) ? 'daily' : mode;
+            
+            // Check if we have any articles (either in array or scheduled)
+            if (this.schedule.size === 0) {
                 this.showLoading(false);
                 this.showNoArticlesMessage();
                 return;
             }
             
-            const savedArticle = this.getArticleForDate(targetDate);
+            let savedArticle = this.getArticleForDate(targetDate);
             
             if (!savedArticle) {
+                // Nothing is scheduled for this day - don't recycle an old puzzle
                 this.showLoading(false);
-                this.showNoArticlesMessage();
+                this.showNoPuzzleScheduled(targetDate);
                 return;
             }
             
+            // Encoded answers are only obfuscated: the pairs are needed to build the puzzle text, but the
+            // correct words stay out of game state until the game is over
+            if (isEncodedAnswer(savedArticle)) {
+                const answerDate = this.getAnswerKeyDate(savedArticle, targetDate);
+                const pairs = await decodeAnswer(savedArticle.answer, answerDate);
+                this.encodedAnswer = { answer: savedArticle.answer, dateString: answerDate };
+                savedArticle = withAnswerPairs(savedArticle, pairs);
+            }
+            
             // Skip articles that don't have wrong/correct fields yet (incomplete articles)
-            if (!savedArticle.wrong || !savedArticle.correct) {
+            const replacements = getReplacements(savedArticle);
+            if (!isLegacyEntry(savedArticle) && replacements.length === 0) {
                 this.showLoading(false);
-                alert(`Article "${savedArticle.title}" is not yet configured. Please add "wrong" and "correct" fields to the article.`);
+                alert(this.t('error.articleNotConfigured', { title: savedArticle.title }));
                 return;
             }
             
             let articleData = null;
-            let extract = null;
-            let category = 'General Knowledge';
-            let thumbnail = null;
-            let description = null;
             
-            // Check if this is new format (version 2.0) - just title + wrong/correct
-            const isNewFormat = savedArticle.wrong && savedArticle.correct && !savedArticle.extract;
+            this.currentSource = this.getArticleSource(savedArticle);
+            this.updateSourceAttribution();
             
-            if (isNewFormat) {
-                // New format: fetch article from Wikipedia
-                articleData = await this.fetchWikipediaArticle(savedArticle.title);
+            // New format (version 2.0) is just title + wrong/correct pair(s) - the text comes from the article source
+            if (!isLegacyEntry(savedArticle)) {
+                // Use the frozen snapshot if there is one, otherwise fetch from the source
+                articleData = this.getArticleSnapshot(savedArticle) || await this.fetchArticle(savedArticle.title, this.currentSource);
                 
                 if (!articleData) {
                     this.showLoading(false);
-                    alert('Failed to fetch article from Wikipedia. Please try again.');
+                    // fetch() rejects with a TypeError when the network is unreachable, even if the browser reports being online
+                    if (!navigator.onLine || this.lastFetchError instanceof TypeError) {
+                        // Summary wasn't cached before going offline
+                        this.showOfflineMessage();
+                    } else {
+                        alert(this.t('error.fetchArticle', { source: this.currentSource.name }));
+                    }
                     return;
                 }
-                
-                extract = articleData.extract;
-                // Use category from JSON if provided, otherwise use auto-detected category, fallback to General Knowledge
-                category = savedArticle.category || articleData.category || 'General Knowledge';
-                thumbnail = articleData.thumbnail || null;
-                description = articleData.description || null;
-                
-                // Apply replacement: replace correct word with wrong word
-                // If occurrence is specified, replace only that specific occurrence (1-based index)
-                const occurrence = savedArticle.occurrence !== undefined ? savedArticle.occurrence : null;
-                extract = this.applyWordReplacement(extract, savedArticle.correct, savedArticle.wrong, occurrence);
-                
-                // Set error tracking
-                this.originalWord = savedArticle.correct;
-                this.errorWord = savedArticle.wrong;
-                this.errorWords = [savedArticle.wrong.toLowerCase()];
-                this.originalWords = [savedArticle.correct.toLowerCase()];
-                this.wrongOccurrence = savedArticle.wrongOccurrence !== undefined ? savedArticle.wrongOccurrence : null;
-                this.errorType = 'word';
-            } else {
-                // Old format: article already has extract and error info
-                extract = savedArticle.extract;
-                category = savedArticle.category || 'General Knowledge';
-                thumbnail = savedArticle.thumbnail || null;
-                description = savedArticle.description || null;
-                
-                // Set error tracking
-                if (savedArticle.replacements && savedArticle.replacements.length > 0) {
-                    const replacements = savedArticle.replacements;
-                    this.errorWords = replacements.map(r => r.replacement.toLowerCase());
-                    this.originalWords = replacements.map(r => r.original.toLowerCase());
-                    this.originalWord = replacements[0].original;
-                    this.errorWord = replacements[0].replacement;
-                } else {
-                    this.originalWord = savedArticle.originalWord;
-                    this.errorWord = savedArticle.wrongWord;
-                    this.errorWords = [savedArticle.wrongWord.toLowerCase()];
-                    this.originalWords = [savedArticle.originalWord.toLowerCase()];
-                }
-                this.errorType = savedArticle.errorType || 'word';
             }
             
-            this.currentArticle = {
-                title: savedArticle.title,
-                extract: extract,
-                category: category,
-                thumbnail: thumbnail,
-                description: description
-            };
+            // Replacements are applied in order; if occurrence is specified, only that occurrence is replaced
+            const { typos, ...article } = buildPuzzle(savedArticle, articleData);
+            this.currentArticle = article;
             
-            // Find the sentence containing the error
-            const sentences = this.currentArticle.extract.match(/[^.!?]+[.!?]+/g) || [];
-            this.errorSentence = sentences.find(s => 
-                this.errorWords.some(ew => s.toLowerCase().includes(ew))
-            ) || '';
+            // Encoded puzzles fill in the correct words on reveal
+            this.engine.load({
+                extract: article.extract,
+                typos: this.encodedAnswer ? typos.map(typo => ({ ...typo, correct: null })) : typos,
+                answer: this.encodedAnswer ? { salt: this.encodedAnswer.answer.salt, wrongHashes: getWrongHashes(this.encodedAnswer.answer) } : null
+            }, { hardMode });
             
             this.displayArticle();
+            this.updateTypoProgress();
             this.showLoading(false);
             
             // Update daily info to show reset mistakes counter
@@ -414,9 +878,13 @@ class DailyTypoGame {
             const isTodaysArticle = targetDate === this.currentDateString;
             const isTodaysCompleted = isTodaysArticle && this.isCompleted(targetDate);
             
+            // Pick up where the player left off if this puzzle was reloaded mid-game
+            const isResumed = !isTodaysCompleted && mode !== 'blitz' && await this.restoreProgress(targetDate);
+            
             if (isTodaysCompleted) {
                 // Today's puzzle is already completed (win or loss) - show completed state
-                this.lastGameResult = this.isWon(targetDate) ? 'win' : 'loss';
+                this.engine.end(this.isWon(targetDate));
+                await this.revealAnswer();
                 this.replaceWrongWordsWithCorrect();
                 this.showPostGameMessage();
                 // Hide submit buttons since puzzle is completed
@@ -427,7 +895,7 @@ class DailyTypoGame {
                 const gameContent = document.getElementById('game-content');
                 if (welcomeScreen) welcomeScreen.style.display = 'none';
                 if (gameContent) gameContent.style.display = 'block';
-            } else if (isTodaysArticle) {
+            } else if (isTodaysArticle && !isResumed) {
                 this.showWelcomeScreen();
             } else {
                 // For random/archive articles, start the game immediately
@@ -436,24 +904,24 @@ class DailyTypoGame {
             
         } catch (error) {
             console.error('Error in loadDailyGame:', error);
-            alert('Failed to load game. Please try again.');
+            alert(this.t('error.loadGame'));
             this.showLoading(false);
         }
     }
     
+    formatLongDate(dateString) {
+        return formatDate(dateString, this.locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }).toLocaleUpperCase(this.locale);
+    }
+    
+    formatShortDate(dateString) {
+        // Nov 4, 2025 - or the locale's own short date
+        return formatDate(dateString, this.locale, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+    
     updateNewspaperDate() {
         // Always use today's date for the newspaper date, regardless of article date
-        const date = new Date();
-        
-        // Format date in newspaper style: MONDAY, OCTOBER 17, 2024
-        const days = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
-        const months = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 
-                       'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'];
-        const dayOfWeek = days[date.getDay()];
-        const month = months[date.getMonth()];
-        const day = date.getDate();
-        const year = date.getFullYear();
-        const formattedDate = `${dayOfWeek}, ${month} ${day}, ${year}`;
+        // Format date in newspaper style: MONDAY, OCTOBER 17, 2024 (each locale uses its own order)
+        const formattedDate = this.formatLongDate(this.currentDateString);
         
         // Update newspaper date in top-left corner
         const newspaperDateEl = document.getElementById('newspaper-date');
@@ -466,13 +934,9 @@ class DailyTypoGame {
         const rawDateString = this.selectedDate || this.currentDateString;
         const dateString = this.getValidGameDate(rawDateString);
         const puzzleNumber = this.calculatePuzzleNumber(dateString);
-        const date = new Date(dateString);
         
         // Format date (newspaper style: NOV 4, 2024)
-        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 
-                       'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-        const year = date.getFullYear();
-        const formattedDate = `${months[date.getMonth()]} ${date.getDate()}, ${year}`;
+        const formattedDate = this.formatShortDate(dateString).toLocaleUpperCase(this.locale);
         
         // Update puzzle number
         const puzzleEl = document.getElementById('puzzle-number');
@@ -496,9 +960,57 @@ class DailyTypoGame {
         const clearSelectionBtn = document.getElementById('clear-selection-btn');
         if (clearSelectionBtn) clearSelectionBtn.addEventListener('click', () => this.clearSelection());
         
+        // Keyboard play - the listener stays on the container while the article is re-rendered
+        const articleContent = document.getElementById('article-content');
+        if (articleContent) articleContent.addEventListener('keydown', (e) => this.handleArticleKeydown(e));
+        
+        // Finish a word drag even if the mouse is released outside the article
+        // (deferred so the click that ends the drag can still see it)
+        document.addEventListener('mouseup', () => {
+            setTimeout(() => {
+                this.dragSelection = null;
+            }, 0);
+        });
+        
         const closeArchiveBtn = document.getElementById('close-archive-btn');
         if (closeArchiveBtn) closeArchiveBtn.addEventListener('click', () => this.closeArchiveModal());
         
+        // Archive view toggle and filters
+        document.querySelectorAll('.archive-view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.archiveView = btn.dataset.view;
+                this.renderArchive();
+            });
+        });
+        
+        const archiveSearch = document.getElementById('archive-search');
+        if (archiveSearch) archiveSearch.addEventListener('input', () => {
+            this.archiveFilters.search = archiveSearch.value.trim();
+            this.renderArchive();
+        });
+        
+        const archiveCategoryFilter = document.getElementById('archive-category-filter');
+        if (archiveCategoryFilter) archiveCategoryFilter.addEventListener('change', () => {
+            this.archiveFilters.category = archiveCategoryFilter.value;
+            this.renderArchive();
+        });
+        
+        const archiveStatusFilter = document.getElementById('archive-status-filter');
+        if (archiveStatusFilter) archiveStatusFilter.addEventListener('change', () => {
+            this.archiveFilters.status = archiveStatusFilter.value;
+            this.renderArchive();
+        });
+        
+        const playNextUnplayedBtn = document.getElementById('play-next-unplayed-btn');
+        if (playNextUnplayedBtn) playNextUnplayedBtn.addEventListener('click', () => this.playNextUnplayed());
+        
+        // Random puzzle from the category picked in the archive filter
+        const archiveRandomBtn = document.getElementById('archive-random-btn');
+        if (archiveRandomBtn) archiveRandomBtn.addEventListener('click', () => {
+            this.closeArchiveModal();
+            this.playRandomArticle(this.archiveFilters.category || null);
+        });
+        
         const playArchivesBtn = document.getElementById('play-archives-btn');
         if (playArchivesBtn) playArchivesBtn.addEventListener('click', () => {
             this.closeCompletionModal();
@@ -511,6 +1023,67 @@ class DailyTypoGame {
             this.playRandomArticle();
         });
         
+        const closeStatsBtn = document.getElementById('close-stats-btn');
+        if (closeStatsBtn) closeStatsBtn.addEventListener('click', () => this.closeStatsModal());
+        
+        const streakIndicator = document.getElementById('streak-indicator');
+        if (streakIndicator) streakIndicator.addEventListener('click', () => this.showStatsModal());
+        
+        // Settings - each control saves and applies as soon as it changes
+        const closeSettingsBtn = document.getElementById('close-settings-btn');
+        if (closeSettingsBtn) closeSettingsBtn.addEventListener('click', () => this.closeSettingsModal());
+        
+        [['setting-hard-mode', 'hardMode'], ['setting-show-timer', 'showTimer'], ['setting-reduced-motion', 'reducedMotion']].forEach(([id, name]) => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.updateSetting(name, input.checked));
+        });
+        [['setting-font-size', 'fontSize'], ['setting-theme', 'theme']].forEach(([id, name]) => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.updateSetting(name, select.value));
+        });
+        
+        // Blitz controls
+        const blitzSkipBtn = document.getElementById('blitz-skip-btn');
+        if (blitzSkipBtn) blitzSkipBtn.addEventListener('click', () => this.skipBlitzPuzzle());
+        
+        const blitzEndBtn = document.getElementById('blitz-end-btn');
+        if (blitzEndBtn) blitzEndBtn.addEventListener('click', () => this.endBlitz());
+        
+        const blitzAgainBtn = document.getElementById('blitz-again-btn');
+        if (blitzAgainBtn) blitzAgainBtn.addEventListener('click', () => this.startBlitz());
+        
+        // Closing the results goes back to today's puzzle
+        const closeBlitzBtn = document.getElementById('close-blitz-btn');
+        if (closeBlitzBtn) closeBlitzBtn.addEventListener('click', () => {
+            this.closeBlitzModal();
+            this.loadDailyGame();
+        });
+        
+        // Progress export/import (in the stats modal)
+        const exportProgressBtn = document.getElementById('export-progress-btn');
+        if (exportProgressBtn) exportProgressBtn.addEventListener('click', () => this.exportProgress());
+        
+        const copyProgressCodeBtn = document.getElementById('copy-progress-code-btn');
+        if (copyProgressCodeBtn) copyProgressCodeBtn.addEventListener('click', () => this.copyProgressCode());
+        
+        const importProgressInput = document.getElementById('import-progress-input');
+        const importProgressBtn = document.getElementById('import-progress-btn');
+        if (importProgressBtn && importProgressInput) {
+            importProgressBtn.addEventListener('click', () => importProgressInput.click());
+            importProgressInput.addEventListener('change', async () => {
+                const file = importProgressInput.files[0];
+                // Reset so picking the same file again still fires a change
+                importProgressInput.value = '';
+                if (file) this.importProgress(await file.text());
+            });
+        }
+        
+        const pasteProgressCodeBtn = document.getElementById('paste-progress-code-btn');
+        if (pasteProgressCodeBtn) pasteProgressCodeBtn.addEventListener('click', () => {
+            const code = prompt(this.t('transfer.pasteCodePrompt'));
+            if (code) this.importProgress(code);
+        });
+        
         const closeCompletionBtn = document.getElementById('close-completion-btn');
         if (closeCompletionBtn) closeCompletionBtn.addEventListener('click', () => this.closeCompletionModal());
         
@@ -530,14 +1103,14 @@ class DailyTypoGame {
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <polyline points="20 6 9 17 4 12"></polyline>
                         </svg>
-                        Email copied
+                        ${this.t('feedback.emailCopied')}
                     `;
                     setTimeout(() => {
                         postGameFeedbackBtn.innerHTML = originalHTML;
                     }, 2000);
                 } catch (err) {
                     // Fallback if clipboard API fails
-                    alert(`Email copied: ${email}`);
+                    alert(this.t('feedback.emailFallback', { email }));
                 }
             });
         }
@@ -599,12 +1172,39 @@ class DailyTypoGame {
                 });
             }
             
+            const statsLink = document.getElementById('stats-link');
+            if (statsLink) {
+                statsLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    menuDropdown.style.display = 'none';
+                    this.showStatsModal();
+                });
+            }
+            
+            const blitzLink = document.getElementById('blitz-link');
+            if (blitzLink) {
+                blitzLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    menuDropdown.style.display = 'none';
+                    this.startBlitz();
+                });
+            }
+            
+            const settingsLink = document.getElementById('settings-link');
+            if (settingsLink) {
+                settingsLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    menuDropdown.style.display = 'none';
+                    this.showSettingsModal();
+                });
+            }
+            
             const feelingStuckLink = document.getElementById('feeling-stuck-link');
             if (feelingStuckLink) {
                 feelingStuckLink.addEventListener('click', (e) => {
                     e.preventDefault();
                     menuDropdown.style.display = 'none';
-                    alert('Feeling stuck? You can always open Wikipedia and study the article! :-)');
+                    this.useHint();
                 });
             }
             
@@ -657,18 +1257,28 @@ class DailyTypoGame {
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <polyline points="20 6 9 17 4 12"></polyline>
                         </svg>
-                        Email copied
+                        ${this.t('feedback.emailCopied')}
                     `;
                     setTimeout(() => {
                         welcomeFeedbackBtn.innerHTML = originalText;
                     }, 2000);
                 } catch (err) {
                     // Fallback if clipboard API fails
-                    alert(`Email copied: ${email}`);
+                    alert(this.t('feedback.emailFallback', { email }));
                 }
             });
         }
         
+        const noPuzzleRandomBtn = document.getElementById('no-puzzle-random-btn');
+        if (noPuzzleRandomBtn) {
+            noPuzzleRandomBtn.addEventListener('click', () => this.playRandomArticle());
+        }
+        
+        const noPuzzleArchiveBtn = document.getElementById('no-puzzle-archive-btn');
+        if (noPuzzleArchiveBtn) {
+            noPuzzleArchiveBtn.addEventListener('click', () => this.showArchiveModal());
+        }
+        
         const welcomeRandomBtn = document.getElementById('welcome-random-btn');
         if (welcomeRandomBtn) {
             welcomeRandomBtn.addEventListener('click', () => {
@@ -681,6 +1291,20 @@ class DailyTypoGame {
             });
         }
         
+        // Back/forward between puzzles
+        window.addEventListener('popstate', () => {
+            this.closeCompletionModal();
+            this.closeArchiveModal();
+            this.closeStatsModal();
+            this.closeBlitzModal();
+            this.closeSettingsModal();
+            this.loadDailyGame(this.getRouteDate(), false, 'archive', true);
+        });
+        
+        // Offline indicator
+        window.addEventListener('online', () => this.updateOnlineStatus());
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        
         // Game title click handler - acts as home/refresh button
         const gameTitleWrapper = document.querySelector('.game-title-wrapper');
         if (gameTitleWrapper) {
@@ -688,6 +1312,9 @@ class DailyTypoGame {
                 // Close any open modals
                 this.closeCompletionModal();
                 this.closeArchiveModal();
+                this.closeStatsModal();
+                this.closeBlitzModal();
+                this.closeSettingsModal();
                 // Load today's game (refresh)
                 this.loadDailyGame();
             });
@@ -711,7 +1338,8 @@ class DailyTypoGame {
         const isTodaysCompleted = isTodaysArticle && this.isCompleted(dateString);
         
         // Don't show buttons if game is over (out of tries) or puzzle is completed
-        if (isTodaysCompleted || this.selectedWords.length === 0 || this.triesRemaining <= 0) {
+        const hasNewSelection = this.selectedWords.some(w => !w.classList.contains('word-correct'));
+        if (isTodaysCompleted || !hasNewSelection || !this.engine.isPlaying()) {
             if (submitButtons) submitButtons.style.display = 'none';
             return;
         }
@@ -733,18 +1361,24 @@ class DailyTypoGame {
                 submitButtons.style.display = 'none';
             }
         }
+        this.syncWordAria();
+        this.saveProgress();
     }
-    async fetchWikipediaArticle(title) {
-        try {
-            // Use Simple English Wikipedia
-            const url = `https://simple.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: Failed to fetch article`);
+    updateSourceAttribution() {
+        // The footer and the completion modal credit the source of the puzzle on screen
+        ['footer-source-link', 'article-source-link'].forEach(id => {
+            const link = document.getElementById(id);
+            if (link && this.currentSource) {
+                link.href = this.currentSource.siteUrl;
+                link.textContent = this.currentSource.name;
             }
-            
-            const data = await response.json();
+        });
+    }
+    
+    async fetchArticle(title, source) {
+        this.lastFetchError = null;
+        try {
+            const data = await source.fetchSummary(title);
             
             if (!data.extract || data.extract.trim().length < 50) {
                 throw new Error('Article extract too short');
@@ -755,13 +1389,14 @@ class DailyTypoGame {
             return {
                 title: data.title,
                 extract: data.extract,
-                thumbnail: data.thumbnail?.source || null,
-                description: data.description || null,
+                thumbnail: data.thumbnail,
+                description: data.description,
                 category: category
             };
         } catch (error) {
-            console.error('Wikipedia API error:', error);
-            // Return null to trigger fallback
+            console.error(`${source.name} API error:`, error);
+            // Return null so the caller can show the offline or error state
+            this.lastFetchError = error;
             return null;
         }
     }
@@ -828,38 +1463,13 @@ class DailyTypoGame {
         return 'General Knowledge';
     }
     
-    getFallbackArticle(title) {
-        // Fallback articles if Wikipedia API fails
-        const fallbacks = {
-            'Paris': {
-                title: 'Paris',
-                extract: 'Paris is the capital and most populous city of France. With an official estimated population of 2,165,423 residents as of 1 January 2019 in an area of more than 105 km², Paris is the fourth-largest city in the European Union and the 30th most densely populated city in the world in 2022. Since the 17th century, Paris has been one of Europe\'s major centres of finance, diplomacy, commerce, fashion, science, and arts.',
-                thumbnail: null,
-                description: null,
-                category: 'Geography'
-            },
-            'Chocolate': {
-                title: 'Chocolate',
-                extract: 'Chocolate is a food product made from roasted and ground cacao pods, that is available as a liquid, solid or paste, on its own or as a flavoring agent in other foods. Cacao has been consumed in some form since at least the Olmec civilization (19th–11th century BCE), and the majority of Mesoamerican people made chocolate beverages.',
-                thumbnail: null,
-                description: null,
-                category: 'Food & Drink'
-            }
-        };
-        
-        const fallback = fallbacks[title] || fallbacks['Paris'];
-        if (!fallback.category) {
-            fallback.category = this.getArticleCategory(fallback.title, fallback.description);
-        }
-        return fallback;
-    }
-    
     displayArticle() {
         document.getElementById('article-title').textContent = this.currentArticle.title;
         
         // Update category display
         const categoryText = this.currentArticle.category || 'General Knowledge';
         document.getElementById('article-category').textContent = categoryText;
+        this.updateHardModeDisplay();
         
         // Check for special day message - check both article's specialDay field and date-based lookup
         const dateString = this.selectedDate || this.currentDateString;
@@ -875,10 +1485,6 @@ class DailyTypoGame {
         }
         
         const contentDiv = document.getElementById('article-content');
-        let displayText = this.currentArticle.extract;
-        
-        const paragraphs = displayText.split(/\n\n+/).filter(p => p.trim());
-        
         let html = '';
         
         // Add thumbnail image if available (Wikipedia-style infobox)
@@ -888,29 +1494,16 @@ class DailyTypoGame {
             </div>`;
         }
         
-        // Add paragraphs with clickable words
-        // Track occurrences of wrong words for validation
-        let wrongWordOccurrenceCount = 0;
-        const errorWord = this.errorWord ? this.errorWord.toLowerCase().replace(/[^\w]/g, '') : null;
-        
-        html += paragraphs.map(para => {
-            // Split text into words, preserving spaces
-            const words = para.split(/(\s+)/);
-            const wrappedWords = words.map(word => {
+        // Add paragraphs with clickable words, split up by the engine
+        // Every word gets its position in the article so phrases can be matched as contiguous runs
+        html += this.engine.paragraphs.map(pieces => {
+            const wrappedWords = pieces.map(piece => {
                 // Keep whitespace as-is (spaces, newlines, etc.)
-                if (/^\s+$/.test(word)) {
-                    return word;
+                if (piece.tokenIndex === null) {
+                    return piece.text;
                 }
-                // Check if this word matches the error word and track occurrence
-                const normalizedWord = word.replace(/[^\w]/g, '').toLowerCase();
-                let occurrenceAttr = '';
-                if (errorWord && normalizedWord === errorWord) {
-                    wrongWordOccurrenceCount++;
-                    occurrenceAttr = ` data-wrong-occurrence="${wrongWordOccurrenceCount}"`;
-                }
-                // Wrap words in clickable spans without extra spacing
-                const wordClass = 'word-clickable';
-                return `<span class="${wordClass}"${occurrenceAttr}>${word}</span>`;
+                // Words are toggle buttons with a roving tabindex, so the article can be played from the keyboard
+                return `<span class="word-clickable" role="button" tabindex="-1" aria-pressed="false" data-token-index="${piece.tokenIndex}">${piece.text}</span>`;
             }).join('');
             return `<p>${wrappedWords}</p>`;
         }).join('');
@@ -923,6 +1516,8 @@ class DailyTypoGame {
         
         // Add click handlers to words
         this.setupWordClickHandlers();
+        this.focusedWord = null;
+        this.setRovingWord(this.getNavigableWords()[0]);
     }
     
     setupWordClickHandlers() {
@@ -931,11 +1526,158 @@ class DailyTypoGame {
         clickableWords.forEach(word => {
             word.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.selectWord(word);
+                this.setRovingWord(word);
+                // A drag across several words has already selected them
+                if (this.dragSelection && this.dragSelection.moved) {
+                    return;
+                }
+                if (e.shiftKey && this.selectionAnchor) {
+                    this.selectRange(this.selectionAnchor, word);
+                } else {
+                    this.selectWord(word);
+                }
+            });
+            
+            // Dragging across words selects the contiguous run (mouse and pen)
+            word.addEventListener('mousedown', (e) => {
+                if (e.button !== 0 || e.shiftKey) return;
+                e.preventDefault(); // Don't start a native text selection
+                this.dragSelection = { start: word, baseline: [...this.selectedWords], moved: false };
             });
+            word.addEventListener('mouseenter', () => {
+                if (!this.dragSelection || word === this.dragSelection.start && !this.dragSelection.moved) return;
+                this.dragSelection.moved = true;
+                this.selectRange(this.dragSelection.start, word, this.dragSelection.baseline);
+            });
+        });
+    }
+    
+    getNavigableWords() {
+        // Words that can take keyboard focus - a revealed phrase leaves some of its words empty
+        return this.getArticleTokens().filter(el => el.textContent.trim());
+    }
+    
+    setRovingWord(wordElement, focus = false) {
+        // Only one word is in the tab order at a time; the arrow keys move it around
+        if (!wordElement) return;
+        if (this.focusedWord && this.focusedWord !== wordElement) {
+            this.focusedWord.setAttribute('tabindex', '-1');
+        }
+        wordElement.setAttribute('tabindex', '0');
+        this.focusedWord = wordElement;
+        if (focus) wordElement.focus();
+    }
+    
+    findSentenceStart(words, index, direction) {
+        // First word of the next sentence, or of this one (then the previous one) going back
+        const sentence = this.getSentenceElements(words[index]).filter(el => el.textContent.trim());
+        if (direction > 0) {
+            return words[words.indexOf(sentence[sentence.length - 1]) + 1] || null;
+        }
+        const start = words.indexOf(sentence[0]);
+        if (start < index) return words[start];
+        if (start <= 0) return null;
+        return this.getSentenceElements(words[start - 1]).filter(el => el.textContent.trim())[0] || null;
+    }
+    
+    findParagraphStart(words, index, direction) {
+        // Same as findSentenceStart, for paragraphs
+        const paragraph = words[index].parentElement;
+        if (direction > 0) {
+            return words.slice(index).find(el => el.parentElement !== paragraph) || null;
+        }
+        const first = words.find(el => el.parentElement === paragraph);
+        if (first !== words[index]) return first;
+        const previous = words[index - 1];
+        return previous ? words.find(el => el.parentElement === previous.parentElement) : null;
+    }
+    
+    handleArticleKeydown(e) {
+        // Left/Right: word, Up/Down: sentence, Ctrl+Up/Down or Page Up/Down: paragraph,
+        // Space: toggle selection, Shift+Left/Right: extend it, Enter: submit, Escape: clear
+        const word = e.target.closest ? e.target.closest('.word-clickable') : null;
+        if (!word) return;
+        const words = this.getNavigableWords();
+        const index = words.indexOf(word);
+        const isPlaying = Boolean(this.engine.startedAt && this.engine.isPlaying());
+        const byParagraph = e.ctrlKey || e.metaKey;
+        let target = null;
+        
+        switch (e.key) {
+            case 'ArrowRight':
+                target = words[index + 1];
+                break;
+            case 'ArrowLeft':
+                target = words[index - 1];
+                break;
+            case 'ArrowDown':
+                target = byParagraph ? this.findParagraphStart(words, index, 1) : this.findSentenceStart(words, index, 1);
+                break;
+            case 'ArrowUp':
+                target = byParagraph ? this.findParagraphStart(words, index, -1) : this.findSentenceStart(words, index, -1);
+                break;
+            case 'PageDown':
+                target = this.findParagraphStart(words, index, 1);
+                break;
+            case 'PageUp':
+                target = this.findParagraphStart(words, index, -1);
+                break;
+            case 'Home':
+                target = words[0];
+                break;
+            case 'End':
+                target = words[words.length - 1];
+                break;
+            case ' ':
+                e.preventDefault();
+                if (isPlaying) this.selectWord(word);
+                return;
+            case 'Enter':
+                e.preventDefault();
+                if (isPlaying && this.selectedWords.some(el => !el.classList.contains('word-correct'))) {
+                    this.submitGuess();
+                }
+                return;
+            case 'Escape':
+                if (isPlaying) this.clearSelection();
+                return;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        if (!target) return;
+        if (e.shiftKey && isPlaying && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+            this.selectRange(word, target);
+        }
+        this.setRovingWord(target, true);
+    }
+    
+    syncWordAria() {
+        // Mirrors each word's state for screen readers
+        this.getArticleTokens().forEach(el => {
+            const isCorrect = el.classList.contains('word-correct');
+            el.setAttribute('aria-pressed', isCorrect || el.classList.contains('word-selected') ? 'true' : 'false');
+            el.toggleAttribute('aria-disabled', isCorrect);
+            const state = isCorrect ? this.t('a11y.foundTypo') : el.classList.contains('word-missed') ? this.t('a11y.wrongGuess') : null;
+            if (state) {
+                el.setAttribute('aria-label', `${el.textContent.trim()}, ${state}`);
+            } else {
+                el.removeAttribute('aria-label');
+            }
         });
     }
     
+    announce(message) {
+        // The live region is cleared first so the same message is read out again
+        const announcer = document.getElementById('game-announcer');
+        if (!announcer) return;
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+    
     selectWord(wordElement) {
         const wordText = wordElement.textContent.trim();
         
@@ -943,6 +1685,11 @@ class DailyTypoGame {
             return;
         }
         
+        // Typos already found in a multi-typo puzzle stay locked in
+        if (wordElement.classList.contains('word-correct')) {
+            return;
+        }
+        
         // Toggle selection - if already selected, deselect it
         if (wordElement.classList.contains('word-selected')) {
             wordElement.classList.remove('word-selected');
@@ -952,146 +1699,87 @@ class DailyTypoGame {
             wordElement.classList.add('word-selected');
             this.selectedWords.push(wordElement);
         }
+        this.selectionAnchor = wordElement;
+        this.syncWordAria();
         
         // Show floating submit button
         this.showFloatingSubmit();
+        this.saveProgress();
     }
     
-    submitGuess() {
-        // Use selected words
-        let guess = '';
-        if (this.selectedWords.length > 0) {
-            // Get text content, remove punctuation, normalize
-            guess = this.selectedWords.map(el => {
-                let text = el.textContent.trim();
-                // Remove common punctuation
-                text = text.replace(/[.,!?;:()"'-]/g, '');
-                return text.toLowerCase();
-            }).join(' ').toLowerCase();
+    selectRange(fromElement, toElement, baseline = this.selectedWords) {
+        // Select every word between the two (inclusive), on top of the baseline selection
+        const from = parseInt(fromElement.getAttribute('data-token-index'));
+        const to = parseInt(toElement.getAttribute('data-token-index'));
+        const [first, last] = from <= to ? [from, to] : [to, from];
+        const range = Array.from(document.querySelectorAll('#article-content .word-clickable')).filter(el => {
+            const index = parseInt(el.getAttribute('data-token-index'));
+            return index >= first && index <= last && !el.classList.contains('word-correct') && el.textContent.trim();
+        });
+        
+        const selected = new Set([...baseline, ...range]);
+        document.querySelectorAll('#article-content .word-clickable').forEach(el => {
+            el.classList.toggle('word-selected', selected.has(el) && !el.classList.contains('word-correct'));
+        });
+        this.selectedWords = Array.from(selected);
+        this.selectionAnchor = toElement;
+        this.syncWordAria();
+        
+        this.showFloatingSubmit();
+        this.saveProgress();
+    }
+    
+    getArticleTokens() {
+        return Array.from(document.querySelectorAll('#article-content .word-clickable'));
+    }
+    
+    getTokenIndex(wordElement) {
+        return parseInt(wordElement.getAttribute('data-token-index'));
+    }
+    
+    updateTypoProgress() {
+        // "1 of 3 typos found" - only shown for puzzles with more than one typo
+        const typoCount = this.engine.typoCount;
+        const progress = document.getElementById('typo-progress');
+        const instruction = document.getElementById('game-instruction-text');
+        
+        if (instruction) {
+            instruction.textContent = this.t('game.instruction', { count: typoCount });
+        }
+        if (progress) {
+            if (typoCount > 1) {
+                progress.textContent = this.t('game.typoProgress', { found: this.engine.foundTypos.size, count: typoCount });
+                progress.style.display = 'block';
+            } else {
+                progress.style.display = 'none';
+            }
         }
+    }
+    
+    async submitGuess() {
+        // Use selected words - typos found earlier are locked in and not guessed again
+        const guessIndexes = this.selectedWords
+            .map(el => this.getTokenIndex(el))
+            .filter(index => this.engine.isPickable(index));
         
         const feedbackDiv = document.getElementById('feedback');
         
-        if (!guess) {
-            feedbackDiv.textContent = 'Please select word(s) from the article first!';
+        if (guessIndexes.length === 0 || !this.engine.isPlaying()) {
+            feedbackDiv.textContent = this.t('game.selectFirst');
             feedbackDiv.className = 'feedback incorrect';
             return;
         }
         
-        let isCorrect = false;
-        let correctAnswer = '';
-        // Split and clean guess words
-        const guessWords = guess.split(/\s+/).filter(w => {
-            // Remove empty strings and very short words
-            return w.length > 0 && w.replace(/[^\w]/g, '').length > 0;
-        }).map(w => w.replace(/[^\w]/g, '')); // Remove any remaining punctuation
+        // The engine sorts the selection into typos (hits) and everything else (misses)
+        const result = await this.engine.guess(guessIndexes);
+        const tokens = this.getArticleTokens();
         
-        if (this.errorType === 'word') {
-            // Support multiple error words if available
-            const errorWords = this.errorWords || [this.errorWord.toLowerCase()];
-            const originalWords = this.originalWords || [this.originalWord.toLowerCase()];
-            
-            
-            // Normalize error and original words (remove punctuation)
-            const normalizedErrorWords = errorWords.map(ew => ew.replace(/[^\w]/g, '').toLowerCase());
-            const normalizedOriginalWords = originalWords.map(ow => ow.replace(/[^\w]/g, '').toLowerCase());
-            
-            // Count how many selected words match wrong words (error words)
-            let correctMatches = 0;
-            let incorrectMatches = 0;
-            
-            // Check each selected word
-            guessWords.forEach((gw, wordIndex) => {
-                const normalizedGw = gw.replace(/[^\w]/g, '').toLowerCase();
-                
-                // Get the word element to check its occurrence
-                const wordElement = this.selectedWords[wordIndex];
-                const wordOccurrence = wordElement ? parseInt(wordElement.getAttribute('data-wrong-occurrence')) : null;
-                
-                // Check if it matches any wrong word (should be selected)
-                // Use exact match first, then check if one word is contained in the other (but be more strict)
-                const matchesError = normalizedErrorWords.some(ew => {
-                    // Exact match is best
-                    if (normalizedGw === ew) {
-                        return true;
-                    }
-                    // Only allow substring match if one is significantly shorter than the other
-                    // (e.g., "the" in "there" is not a match, but "run" in "running" might be)
-                    const lengthDiff = Math.abs(normalizedGw.length - ew.length);
-                    const minLength = Math.min(normalizedGw.length, ew.length);
-                    // Allow substring match only if the shorter word is at least 3 chars and 
-                    // the length difference is reasonable (not more than 2 chars)
-                    if (minLength >= 3 && lengthDiff <= 2) {
-                        if (normalizedGw.includes(ew) || ew.includes(normalizedGw)) {
-                            return true;
-                        }
-                    }
-                    return false;
-                });
-                
-                // If wrongOccurrence is specified and word matches error word, check occurrence
-                if (matchesError && this.wrongOccurrence !== null && this.wrongOccurrence > 0) {
-                    if (wordOccurrence !== this.wrongOccurrence) {
-                        // This word matches the error word but is the wrong occurrence, treat as incorrect
-                        incorrectMatches++;
-                        return; // Skip rest of processing for this word
-                    }
-                }
-                
-                // Check if it matches any original/correct word (should NOT be selected)
-                const matchesOriginal = normalizedOriginalWords.some(ow => {
-                    // Exact match means wrong selection
-                    if (normalizedGw === ow) {
-                        return true;
-                    }
-                    // Substring match with same rules
-                    const lengthDiff = Math.abs(normalizedGw.length - ow.length);
-                    const minLength = Math.min(normalizedGw.length, ow.length);
-                    if (minLength >= 3 && lengthDiff <= 2) {
-                        if (normalizedGw.includes(ow) || ow.includes(normalizedGw)) {
-                            return true;
-                        }
-                    }
-                    return false;
-                });
-                
-                if (matchesError) {
-                    correctMatches++;
-                } else if (matchesOriginal) {
-                    incorrectMatches++;
-                } else {
-                    // This word doesn't match any wrong or correct word - it's an extra word
-                    incorrectMatches++; // Count extra words as incorrect
-                }
-            });
-            
-            // Win condition: Must select ONLY wrong words, no correct words, no extra words
-            // All selected words must match wrong words, and none should match correct words
-            const hasCorrectWord = correctMatches > 0;
-            const hasIncorrectWord = incorrectMatches > 0;
-            // All selected words must be wrong words, and we must have selected at least one wrong word
-            // AND we must have selected ALL wrong words (if there's only one) or at least one (if multiple)
-            const allSelectedAreWrong = hasCorrectWord && !hasIncorrectWord;
-            // Must have selected all wrong words (if single) or at least one (if multiple)
-            // For single wrong word: allow selecting all occurrences (all selected must match the wrong word)
-            // For multiple wrong words: must select all unique wrong words
-            const selectedAllWrongWords = errorWords.length === 1 
-                ? correctMatches === guessWords.length && correctMatches >= 1
-                : correctMatches >= 1 && guessWords.length === correctMatches;
-            
-            if (allSelectedAreWrong && selectedAllWrongWords) {
-                isCorrect = true;
-                // Show all corrections if multiple
-                if (errorWords.length > 1) {
-                    const corrections = errorWords.map((ew, i) => 
-                        `"${ew}" should be "${originalWords[i]}"`
-                    ).join(', ');
-                    correctAnswer = corrections;
-                } else {
-                    correctAnswer = `"${this.errorWord}" should be "${this.originalWord}"`;
-                }
-            }
-        }
+        // Multiple typos: every correct find is locked in, only the misses count against the player
+        result.hits.forEach(index => {
+            tokens[index].classList.remove('word-selected');
+            tokens[index].classList.add('word-correct');
+        });
+        this.updateTypoProgress();
         
         // Hide submit buttons after any guess (correct or incorrect)
         const submitButtons = document.getElementById('submit-buttons');
@@ -1099,15 +1787,28 @@ class DailyTypoGame {
             submitButtons.style.display = 'none';
         }
         
-        if (isCorrect) {
-            this.showCompletionModal(correctAnswer);
+        if (result.outcome === 'won') {
+            await this.revealAnswer();
+            this.showCompletionModal(this.getCorrectionText());
             this.updateMistakesDisplay();
+        } else if (result.outcome === 'found') {
+            // Found some typos of a multi-typo puzzle without any wrong picks - no try spent
+            feedbackDiv.textContent = this.t('game.niceFind', { found: this.engine.foundTypos.size, count: this.engine.typoCount });
+            feedbackDiv.className = 'feedback correct';
+            this.announce(feedbackDiv.textContent);
+            this.clearSelection();
         } else {
-            // Wrong guess - remove a try
-            this.triesRemaining--;
+            // Wrong guess - the engine has taken a try
+            const triesRemaining = this.engine.triesRemaining;
+            if (result.outcome === 'miss') {
+                const found = this.engine.typoCount > 1 && this.engine.foundTypos.size > 0
+                    ? ` ${this.t('game.typoProgress', { found: this.engine.foundTypos.size, count: this.engine.typoCount })}.`
+                    : '';
+                this.announce(`${this.t('game.notTheTypo')}${found} ${this.t('game.attemptsRemaining', { count: triesRemaining })}.`);
+            }
             
-            // Mark selected words as wrong (red highlight)
-            this.markWordsAsWrong();
+            // Mark the wrong picks (red highlight)
+            this.markWordsAsWrong(result.misses.map(index => tokens[index]));
             
             // Hide feedback box (we use shake + wrong indicator instead)
             feedbackDiv.textContent = '';
@@ -1123,14 +1824,78 @@ class DailyTypoGame {
             // Animate pencil icon bounce
             this.animatePencilIcon();
             
-            if (this.triesRemaining <= 0) {
+            if (result.outcome === 'lost') {
                 // Out of tries - show the answer
                 this.showGameOver();
             }
         }
+        this.syncWordAria();
+        this.saveProgress();
+    }
+    
+    getSentenceElements(wordElement) {
+        // Words of the sentence around the given word - a sentence ends with . ! or ?
+        const tokens = this.getArticleTokens();
+        return this.engine.getSentenceTokens(this.getTokenIndex(wordElement)).map(index => tokens[index]);
+    }
+    
+    async useHint() {
+        const blocker = this.engine.getHintBlocker();
+        const blockedMessages = {
+            'not-playing': this.t('hint.notPlaying'),
+            'hard-mode': this.t('hint.hardMode'),
+            'no-hints-left': this.t('hint.noHintsLeft'),
+            'last-attempt': this.t('hint.lastAttempt'),
+            'unavailable': this.t('hint.unavailable')
+        };
+        if (blocker) {
+            alert(blockedMessages[blocker]);
+            return;
+        }
+        if (!confirm(this.t('hint.confirm', { count: this.engine.triesRemaining }))) {
+            return;
+        }
+        
+        // Hints point at the first typo that hasn't been found yet
+        const hint = this.engine.takeHint();
+        this.updateMistakesDisplay();
+        this.updateDailyInfo();
+        this.animatePencilIcon();
+        await this.showHint(hint.level, hint.typoIndex, hint.tokens);
+        this.saveProgress();
+    }
+    
+    async showHint(level, typoIndex, typoTokens) {
+        const feedbackDiv = document.getElementById('feedback');
+        const tokens = this.getArticleTokens();
+        let message = '';
+        
+        if (level === 'paragraph') {
+            tokens[typoTokens[0]].closest('p').classList.add('hint-paragraph');
+            message = this.t('hint.paragraph');
+        } else if (level === 'sentence') {
+            this.engine.getSentenceTokens(typoTokens[0]).forEach(index => tokens[index].classList.add('word-hint'));
+            message = this.t('hint.sentence');
+        } else {
+            // Encoded puzzles only hold the correct word once revealed, so decode just for the letter
+            let correctWord = this.engine.typos[typoIndex].correct;
+            if (!correctWord && this.encodedAnswer) {
+                const pairs = await decodeAnswer(this.encodedAnswer.answer, this.encodedAnswer.dateString);
+                correctWord = pairs[typoIndex].correct;
+            }
+            message = this.t('hint.letter', { letter: correctWord.charAt(0).toLocaleUpperCase(this.locale) });
+        }
+        
+        if (feedbackDiv) {
+            feedbackDiv.textContent = message;
+            feedbackDiv.className = 'feedback hint';
+        }
+        const triesRemaining = this.engine.triesRemaining;
+        this.announce(`${message} ${this.t('game.attemptsRemaining', { count: triesRemaining })}.`);
     }
     
     shakeArticle() {
+        if (this.settings.reducedMotion) return;
         const articleWrapper = document.querySelector('.article-wrapper');
         articleWrapper.classList.add('shake');
         setTimeout(() => {
@@ -1144,7 +1909,11 @@ class DailyTypoGame {
         if (!container) return;
         
         // Calculate tries left (number of visible icons)
-        const triesLeft = Math.max(0, this.triesRemaining);
+        const triesLeft = Math.max(0, this.engine.triesRemaining);
+        const mistakesLeft = document.getElementById('mistakes-left');
+        if (mistakesLeft) {
+            mistakesLeft.setAttribute('aria-label', this.t('game.attemptsRemaining', { count: triesLeft }));
+        }
         
         // Clear existing icons
         container.innerHTML = '';
@@ -1173,8 +1942,8 @@ class DailyTypoGame {
             return svg;
         };
         
-        // Create icons for remaining tries (max 3)
-        const maxTriesToShow = 3;
+        // Create icons for remaining tries (one in hard mode)
+        const maxTriesToShow = this.engine.maxTries;
         for (let i = 0; i < maxTriesToShow; i++) {
             const icon = createPencilIcon();
             if (i >= triesLeft) {
@@ -1185,11 +1954,12 @@ class DailyTypoGame {
         
         // Update text - stays constant
         if (textEl) {
-            textEl.textContent = 'attempts remaining';
+            textEl.textContent = this.t('game.attemptsLabel');
         }
     }
     
     animatePencilIcon() {
+        if (this.settings.reducedMotion) return;
         const pencilIcons = document.querySelectorAll('.pencil-icon:not(.faded)');
         pencilIcons.forEach((pencilIcon) => {
             // Remove any existing bounce class
@@ -1210,59 +1980,23 @@ class DailyTypoGame {
         this.updateTriesDisplay();
     }
     
-    markWordsAsWrong() {
-        // Add wrong class to all selected words
-        this.selectedWords.forEach(wordEl => {
-            wordEl.classList.add('word-wrong');
+    markWordsAsWrong(wordElements = this.selectedWords) {
+        // Add wrong class to the given words (all selected words by default)
+        wordElements.forEach(wordEl => {
+            // word-missed stays after the flash so earlier wrong guesses remain visible
+            wordEl.classList.add('word-wrong', 'word-missed');
             // Remove selection highlight but keep wrong highlight
-            wordEl.classList.remove('word-selected');
-        });
-        
-            // Remove wrong highlight after a delay (keep it visible for a bit)
-            setTimeout(() => {
-                this.selectedWords.forEach(wordEl => {
-                    wordEl.classList.remove('word-wrong');
-                });
-                // Clear selection after showing wrong - buttons will reappear when user selects again
-                this.clearSelection();
-            }, 2000);
-    }
-    
-    markWordsAsCorrect() {
-        // Only highlight words that actually match the error word (the wrong word in text)
-        // Get the normalized error words to check against
-        const errorWords = this.errorWords || [this.errorWord.toLowerCase()];
-        const normalizedErrorWords = errorWords.map(ew => ew.replace(/[^\w]/g, '').toLowerCase());
-        
-        // Only mark words as correct if they match the error word
-        this.selectedWords.forEach(wordEl => {
-            const wordText = wordEl.textContent.trim().toLowerCase();
-            const normalizedWord = wordText.replace(/[^\w]/g, '');
-            
-            
-            // Check if this word matches any error word - use strict matching
-            const isCorrectWord = normalizedErrorWords.some(ew => {
-                // Exact match or the word is the error word (allowing for slight variations)
-                const exactMatch = normalizedWord === ew;
-                // Only allow substring matches if the word is significantly longer (to avoid false matches)
-                const substringMatch = (normalizedWord.length >= ew.length - 1 && normalizedWord.length <= ew.length + 1) &&
-                                       (normalizedWord.includes(ew) || ew.includes(normalizedWord));
-                return exactMatch || substringMatch;
-            });
-            
-            
-            if (isCorrectWord) {
-                wordEl.classList.add('word-correct');
-                // Remove selection highlight but keep correct highlight
-                wordEl.classList.remove('word-selected');
-            } else {
-                // This word was selected but isn't the correct answer - just remove selection highlight
-                wordEl.classList.remove('word-selected');
-                // Remove from selectedWords array since it's not the correct word
-                this.selectedWords = this.selectedWords.filter(w => w !== wordEl);
-            }
+            wordEl.classList.remove('word-selected');
         });
         
+            // Remove wrong highlight after a delay (keep it visible for a bit)
+            setTimeout(() => {
+                wordElements.forEach(wordEl => {
+                    wordEl.classList.remove('word-wrong');
+                });
+                // Clear selection after showing wrong - buttons will reappear when user selects again
+                this.clearSelection();
+            }, 2000);
     }
     
     clearCorrectHighlights() {
@@ -1273,16 +2007,18 @@ class DailyTypoGame {
         });
     }
     
-    showGameOver() {
-        let answerMessage = '';
-        const answerText = this.errorWords && this.errorWords.length > 1 
-            ? this.errorWords.map((ew, i) => `"${ew}" should be "${this.originalWords[i]}"`).join(', ')
-            : `"${this.errorWord}" should be "${this.originalWord}"`;
-        answerMessage = answerText;
+    async showGameOver() {
+        if (this.blitz) {
+            await this.finishBlitzPuzzle(false);
+            return;
+        }
+        await this.revealAnswer();
+        const answerMessage = this.getCorrectionText();
         
         // Mark as game over to lock the puzzle
         const dateString = this.selectedDate || this.currentDateString;
-        this.markGameOver(dateString);
+        this.markCompleted(dateString);
+        this.updateStats();
         
         // Replace wrong words with correct words in the article
         this.replaceWrongWordsWithCorrect();
@@ -1304,12 +2040,17 @@ class DailyTypoGame {
     }
     
     showCompletionModal(message, isWin = true) {
+        // Blitz moves straight on to the next puzzle instead
+        if (this.blitz) {
+            this.finishBlitzPuzzle(isWin);
+            return;
+        }
+        
         const dateString = this.selectedDate || this.currentDateString;
         
-        // Track game result
-        this.lastGameResult = isWin ? 'win' : 'loss';
+        this.announce(`${isWin ? this.t('game.correct') : this.t('game.over')} ${message}`);
         
-        // Only mark as completed if it's a win
+        // Only mark as completed if it's a win (a game over was saved already)
         if (isWin) {
             this.markCompleted(dateString);
             // Update stats
@@ -1322,47 +2063,25 @@ class DailyTypoGame {
         const modalTitle = document.querySelector('#completion-modal h2');
         const checkmark = document.querySelector('.checkmark-animation');
         if (modalTitle) {
-            modalTitle.textContent = isWin ? 'Correct!' : 'Game Over';
+            modalTitle.textContent = isWin ? this.t('game.correct') : this.t('game.overTitle');
         }
         if (checkmark) {
             checkmark.style.display = isWin ? 'block' : 'none';
         }
         
-        // Update completion message with highlighted words
+        // Update completion message with the wrong word (red) and correct word (green) highlighted
         const completionMessage = document.getElementById('completion-message');
         if (completionMessage) {
-            const correctionText = message.split('\n')[0] || message;
-            
-            // Parse the message to highlight wrong word (red) and correct word (green)
-            // Format: "wrongword" should be "correctword" or multiple: "word1" should be "word2", "word3" should be "word4"
-            let formattedMessage = correctionText;
-            
-            // Match pattern: "word" should be "word"
-            const pattern = /"([^"]+)"\s+should be\s+"([^"]+)"/g;
-            formattedMessage = formattedMessage.replace(pattern, (match, wrongWord, correctWord) => {
-                return `<span class="typo-word">"${wrongWord}"</span> should be <span class="correct-word">"${correctWord}"</span>`;
-            });
-            
-            completionMessage.innerHTML = formattedMessage;
+            completionMessage.innerHTML = this.getCorrectionText(true);
         }
         
         // Calculate and display elapsed time
-        if (isWin && this.gameStartTime) {
-            const elapsedMs = Date.now() - this.gameStartTime;
-            this.elapsedTime = elapsedMs;
-            const elapsedSeconds = Math.floor(elapsedMs / 1000);
-            const minutes = Math.floor(elapsedSeconds / 60);
-            const seconds = elapsedSeconds % 60;
-            
+        const elapsedTime = this.engine.getElapsedTime();
+        if (isWin && elapsedTime !== null) {
             const timerEl = document.getElementById('completion-timer');
             if (timerEl) {
-                let timeText;
-                if (minutes > 0) {
-                    timeText = `${minutes}m ${seconds}s`;
-                } else {
-                    timeText = `${seconds}s`;
-                }
-                timerEl.innerHTML = `<span class="timer-label">Solved in</span> <span class="timer-value">${timeText}</span>`;
+                const timeText = this.formatElapsedTime(elapsedTime);
+                timerEl.innerHTML = `<span class="timer-label">${this.t('game.solvedIn')}</span> <span class="timer-value">${timeText}</span>`;
             }
         } else {
             const timerEl = document.getElementById('completion-timer');
@@ -1371,11 +2090,12 @@ class DailyTypoGame {
             }
         }
         
-        // Update Wikipedia link
+        // Link to the full article and credit the source it came from
         const wikipediaLink = document.getElementById('wikipedia-link');
-        if (wikipediaLink && this.currentArticle) {
-            wikipediaLink.href = this.getWikipediaUrl(this.currentArticle.title);
+        if (wikipediaLink && this.currentArticle && this.currentSource) {
+            wikipediaLink.href = this.currentSource.getArticleUrl(this.currentArticle.title);
         }
+
         
         // Show modal
         const modal = document.getElementById('completion-modal');
@@ -1384,6 +2104,7 @@ class DailyTypoGame {
             document.body.style.overflow = 'hidden';
             modal.style.display = 'flex';
         }
+        this.prepareResultCard(dateString);
         
         // Clear selection
         this.clearSelection();
@@ -1424,30 +2145,29 @@ class DailyTypoGame {
         const dateString = this.selectedDate || this.currentDateString;
         const isToday = dateString === this.currentDateString;
         const isCompleted = this.isCompleted(dateString);
-        const wasWin = this.lastGameResult === 'win';
-        const wasLoss = this.lastGameResult === 'loss';
+        const wasLoss = this.engine.status === GameStatus.LOST;
         
         if (wasLoss && isToday) {
             // User lost today's puzzle
-            postGameText.textContent = "Better luck next time! A new puzzle will be available tomorrow. You can also try a random puzzle or browse the archive to keep playing.";
+            postGameText.textContent = this.t('postGame.lostToday');
             if (countdownSection) countdownSection.style.display = 'block';
             this.startCountdown();
         } else if (wasLoss && !isToday) {
             // User lost an archived/random puzzle
-            postGameText.textContent = "Better luck next time! Want to try another puzzle?";
+            postGameText.textContent = this.t('postGame.lost');
             if (countdownSection) countdownSection.style.display = 'none';
         } else if (isToday && isCompleted) {
             // Today's puzzle is completed (win)
-            postGameText.textContent = "Great job! Come back tomorrow for a new puzzle.";
+            postGameText.textContent = this.t('postGame.wonToday');
             if (countdownSection) countdownSection.style.display = 'block';
             this.startCountdown();
         } else if (isToday && !isCompleted) {
             // Today's puzzle not completed (shouldn't happen, but just in case)
-            postGameText.textContent = "Keep trying! You can also play random puzzles or browse the archive.";
+            postGameText.textContent = this.t('postGame.keepTrying');
             if (countdownSection) countdownSection.style.display = 'none';
         } else {
             // Playing archived or random puzzle (win)
-            postGameText.textContent = "Want to play more? Try a random puzzle or browse the archive.";
+            postGameText.textContent = this.t('postGame.playMore');
             if (countdownSection) countdownSection.style.display = 'none';
         }
         
@@ -1459,12 +2179,9 @@ class DailyTypoGame {
         if (!countdownTimer) return;
         
         const updateCountdown = () => {
-            const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(0, 0, 0, 0);
-            
-            const diff = tomorrow - now;
+            // The next puzzle unlocks at midnight on the puzzle clock
+            const now = Date.now();
+            const diff = getNextPuzzleStart(now, this.puzzleClock) - now;
             
             if (diff <= 0) {
                 countdownTimer.textContent = '00:00:00';
@@ -1503,80 +2220,412 @@ class DailyTypoGame {
         }
     }
     
-    async playRandomArticle() {
-        if (!this.articlesConfig || !this.articlesConfig.articles || this.articlesConfig.articles.length === 0) {
-            alert('No articles available. Please try again.');
+    loadRecentRandom() {
+        try {
+            const stored = localStorage.getItem('dailyTypoRecentRandom');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading recent random puzzles:', error);
+            return [];
+        }
+    }
+    
+    saveRecentRandom(dateString) {
+        // Most recent first, trimmed to the last few served
+        this.recentRandom = [dateString, ...this.recentRandom.filter(date => date !== dateString)].slice(0, this.randomHistorySize);
+        try {
+            localStorage.setItem('dailyTypoRecentRandom', JSON.stringify(this.recentRandom));
+        } catch (error) {
+            console.error('Error saving recent random puzzles:', error);
+        }
+    }
+    
+    pickRandomDate(candidates) {
+        // Skips the puzzle on screen and the last few served, as long as that leaves something to pick
+        const recent = new Set([this.selectedDate, ...this.recentRandom]);
+        const fresh = candidates.filter(dateString => !recent.has(dateString));
+        let pool = fresh;
+        if (pool.length === 0) {
+            // Everything was served recently - fall back to the least recent ones
+            pool = candidates.filter(dateString => dateString !== this.selectedDate);
+            const oldest = Math.max(...pool.map(dateString => this.recentRandom.indexOf(dateString)));
+            pool = pool.filter(dateString => this.recentRandom.indexOf(dateString) === oldest);
+        }
+        if (pool.length === 0) pool = candidates;
+        return pool[Math.floor(Math.random() * pool.length)];
+    }
+    
+    async playRandomArticle(category = null) {
+        if (this.schedule.size === 0) {
+            alert(this.t('random.noArticles'));
             return;
         }
         
-        // Get valid today's date (at least Oct 27, 2025)
-        const validTodayDate = this.getValidGameDate(this.currentDateString);
-        const todayPuzzleNumber = this.calculatePuzzleNumber(validTodayDate);
+        // Only past days that actually had a puzzle (today is excluded)
+        const pastDates = this.getPastPuzzleDates()
+            .filter(dateString => !category || this.getPuzzleCategory(dateString) === category);
         
-        // Ensure we have at least 2 games available (today + at least one past puzzle)
-        if (todayPuzzleNumber < 2) {
-            // If today is puzzle #1, there are no past puzzles to pick from
-            alert('Not enough puzzles available yet. Come back tomorrow for more puzzles!');
+        if (pastDates.length === 0) {
+            alert(category
+                ? this.t('random.noCategoryPuzzles', { category })
+                : this.t('random.notEnoughPuzzles'));
             return;
         }
         
-        // Pick a random puzzle number between 1 and (today's number - 1) to exclude today
-        const maxRandomPuzzle = todayPuzzleNumber - 1;
-        const randomPuzzleNumber = Math.floor(Math.random() * maxRandomPuzzle) + 1;
+        // Unplayed (and unfinished) puzzles come first; replays only once they run out
+        let candidates = pastDates.filter(dateString => !this.isCompleted(dateString));
+        if (candidates.length === 0) {
+            const message = category
+                ? this.t('random.allCategoryPlayed', { count: pastDates.length, category })
+                : this.t('random.allPlayed', { count: pastDates.length });
+            if (!confirm(message)) {
+                return;
+            }
+            candidates = pastDates;
+        }
         
-        // Calculate the date for this puzzle number
-        const randomDateString = this.calculateDateFromPuzzleNumber(randomPuzzleNumber);
+        const randomDateString = this.pickRandomDate(candidates);
+        this.saveRecentRandom(randomDateString);
         
         // Load the game for this random date
-        await this.loadDailyGame(randomDateString);
+        await this.loadDailyGame(randomDateString, false, 'random');
         // Update display to show reset mistakes
         this.updateDailyInfo();
     }
     
-    shareCompletion() {
-        if (!this.currentArticle) return;
+    loadBlitzScores() {
+        try {
+            const stored = localStorage.getItem('dailyTypoBlitzScores');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading blitz scores:', error);
+            return [];
+        }
+    }
+    
+    saveBlitzScores() {
+        try {
+            localStorage.setItem('dailyTypoBlitzScores', JSON.stringify(this.blitzScores));
+        } catch (error) {
+            console.error('Error saving blitz scores:', error);
+        }
+    }
+    
+    async startBlitz() {
+        const pastDates = this.getPastPuzzleDates();
+        if (pastDates.length === 0) {
+            alert(this.t('random.notEnoughPuzzles'));
+            return;
+        }
         
-        const rawDateString = this.selectedDate || this.currentDateString;
-        const validDateString = this.getValidGameDate(rawDateString);
-        const puzzleNumber = this.calculatePuzzleNumber(validDateString);
-        const streak = this.calculateStreak();
+        // Past puzzles in random order (Fisher-Yates)
+        const queue = [...pastDates];
+        for (let i = queue.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [queue[i], queue[j]] = [queue[j], queue[i]];
+        }
+        
+        this.stopBlitz();
+        this.closeBlitzModal();
+        this.blitz = {
+            queue: queue,
+            index: -1,
+            endsAt: Date.now() + this.blitzDurationMs,
+            score: 0,
+            results: [],
+            timer: setInterval(() => this.updateBlitzClock(), 250),
+            advanceTimeout: null
+        };
+        this.updateBlitzBar();
+        await this.nextBlitzPuzzle();
+    }
+    
+    async nextBlitzPuzzle() {
+        if (!this.blitz) return;
+        clearTimeout(this.blitz.advanceTimeout);
+        this.blitz.index++;
+        if (this.blitz.index >= this.blitz.queue.length) {
+            // Played through every past puzzle before the clock ran out
+            this.endBlitz();
+            return;
+        }
+        await this.loadDailyGame(this.blitz.queue[this.blitz.index], false, 'blitz');
+    }
+    
+    async finishBlitzPuzzle(isWin) {
+        // Scores the puzzle and shows the answer briefly - nothing is saved to the completions
+        const blitz = this.blitz;
+        const attempts = this.engine.getAttemptsUsed();
+        const points = isWin ? Math.max(1, MAX_TRIES + 1 - attempts) : 0;
+        blitz.results.push({ date: this.selectedDate, won: isWin, attempts: attempts, points: points });
+        blitz.score += points;
+        this.updateBlitzBar();
+        
+        await this.revealAnswer();
+        if (this.blitz !== blitz) return; // The run ended while the answer was being decoded
+        this.replaceWrongWordsWithCorrect();
+        this.clearSelection();
+        
+        const feedbackDiv = document.getElementById('feedback');
+        if (feedbackDiv) {
+            feedbackDiv.textContent = isWin
+                ? this.t('blitz.solved', { count: points })
+                : this.t('blitz.missed', { correction: this.getCorrectionText() });
+            feedbackDiv.className = `feedback ${isWin ? 'correct' : 'incorrect'}`;
+            this.announce(feedbackDiv.textContent);
+        }
+        blitz.advanceTimeout = setTimeout(() => this.nextBlitzPuzzle(), this.blitzPauseMs);
+    }
+    
+    skipBlitzPuzzle() {
+        // Skipping scores nothing; a puzzle that's already finished is moving on anyway
+        if (!this.blitz || this.engine.isOver()) return;
+        this.blitz.results.push({ date: this.selectedDate, won: false, attempts: this.engine.getAttemptsUsed(), points: 0, skipped: true });
+        this.nextBlitzPuzzle();
+    }
+    
+    formatClock(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+    
+    updateBlitzClock() {
+        if (!this.blitz) return;
+        const remaining = Math.max(0, this.blitz.endsAt - Date.now());
+        const clockEl = document.getElementById('blitz-clock');
+        if (clockEl) {
+            clockEl.textContent = this.formatClock(remaining);
+            clockEl.classList.toggle('running-out', remaining <= 30000);
+        }
+        if (remaining === 0) {
+            this.endBlitz();
+        }
+    }
+    
+    updateBlitzBar() {
+        const bar = document.getElementById('blitz-bar');
+        if (bar) {
+            bar.style.display = this.blitz ? 'flex' : 'none';
+        }
+        if (!this.blitz) return;
+        const scoreEl = document.getElementById('blitz-score');
+        if (scoreEl) scoreEl.textContent = this.blitz.score;
+        this.updateBlitzClock();
+    }
+    
+    stopBlitz() {
+        // Ends the run without recording it
+        if (!this.blitz) return;
+        clearInterval(this.blitz.timer);
+        clearTimeout(this.blitz.advanceTimeout);
+        this.blitz = null;
+        this.updateBlitzBar();
+    }
+    
+    endBlitz() {
+        const blitz = this.blitz;
+        if (!blitz) return;
+        this.stopBlitz();
+        
+        const run = {
+            score: blitz.score,
+            solved: blitz.results.filter(result => result.won).length,
+            played: blitz.results.length,
+            finishedAt: new Date().toISOString()
+        };
+        const previousBest = this.blitzScores.length > 0 ? this.blitzScores[0].score : 0;
+        this.blitzScores = [...this.blitzScores, run]
+            .sort((a, b) => b.score - a.score || b.solved - a.solved)
+            .slice(0, 5);
+        this.saveBlitzScores();
+        
+        // The puzzle that was cut off stays on screen but can't be played any more
+        this.engine.end(false);
+        const submitButtons = document.getElementById('submit-buttons');
+        if (submitButtons) submitButtons.style.display = 'none';
+        
+        this.showBlitzModal(run, run.score > previousBest);
+    }
+    
+    showBlitzModal(run, isNewBest) {
+        const modal = document.getElementById('blitz-modal');
+        const summary = document.getElementById('blitz-summary');
+        const record = document.getElementById('blitz-record');
+        const bestList = document.getElementById('blitz-best-list');
+        if (!modal || !summary) return;
+        
+        const items = [
+            { value: run.score, label: this.t('blitz.score') },
+            { value: run.solved, label: this.t('blitz.solvedCount') },
+            { value: run.played, label: this.t('stats.played') },
+            { value: this.blitzScores[0].score, label: this.t('blitz.best') }
+        ];
+        summary.innerHTML = items.map(item => `
+            <div class="stats-item">
+                <span class="stats-value">${item.value}</span>
+                <span class="stats-label">${item.label}</span>
+            </div>
+        `).join('');
+        
+        if (record) {
+            record.textContent = isNewBest ? this.t('blitz.newBest') : '';
+            record.style.display = isNewBest ? 'block' : 'none';
+        }
+        
+        if (bestList) {
+            bestList.innerHTML = this.blitzScores.map(entry => `
+                <li class="${entry === run ? 'latest' : ''}">
+                    <span>${this.t('blitz.points', { count: entry.score })}</span>
+                    <span>${this.t('blitz.solvedOf', { solved: entry.solved, played: entry.played })} · ${new Date(entry.finishedAt).toLocaleDateString(this.locale)}</span>
+                </li>
+            `).join('');
+        }
+        
+        document.body.style.overflow = 'hidden';
+        modal.style.display = 'flex';
+    }
+    
+    closeBlitzModal() {
+        const modal = document.getElementById('blitz-modal');
+        if (modal && modal.style.display !== 'none') {
+            modal.style.display = 'none';
+            // Restore body scroll
+            document.body.style.overflow = '';
+        }
+    }
+    
+    getShareResult(dateString) {
+        // The result of the game just played, or the saved one when revisiting a completed puzzle
+        const completion = this.completions[dateString];
+        const fromCompletion = !this.engine.startedAt && completion;
+        const won = this.engine.status === GameStatus.WON;
+        const attempts = fromCompletion && Number.isInteger(completion.attempts)
+            ? completion.attempts
+            : this.engine.getAttemptsUsed();
+        
+        let history = fromCompletion ? completion.history : this.engine.history;
+        if (!Array.isArray(history) || history.length === 0) {
+            // Older completions only know how many attempts were used
+            history = Array.from({ length: attempts }, (_, i) => won && i === attempts - 1 ? 'hit' : 'miss');
+        }
+        
+        return {
+            puzzleNumber: this.calculatePuzzleNumber(this.getValidGameDate(dateString)),
+            won: won,
+            history: history,
+            hintsUsed: fromCompletion ? completion.hintsUsed || 0 : this.engine.hintsUsed,
+            timeMs: this.engine.elapsedMs || (fromCompletion ? completion.timeMs : null) || null,
+            mode: fromCompletion ? completion.mode || (this.isLive(dateString) ? 'daily' : 'archive') : this.playMode,
+            hardMode: fromCompletion ? Boolean(completion.hardMode) : this.engine.hardMode,
+            streak: this.calculateStreak()
+        };
+    }
+    
+    buildShareText(dateString) {
+        const result = this.getShareResult(dateString);
         
         // Random variations of newspaper headlines
         const headlines = [
             
-            '📰 THIS JUST IN!',
-            '📰 EXTRA EXTRA!',
-            '📰 BREAKING NEWS!',
-            '📰 STOP THE PRESSES!'
+            `📰 ${this.t('share.headline.thisJustIn')}`,
+            `📰 ${this.t('share.headline.extra')}`,
+            `📰 ${this.t('share.headline.breakingNews')}`,
+            `📰 ${this.t('share.headline.stopThePresses')}`
         ];
         const headline = headlines[Math.floor(Math.random() * headlines.length)];
         
-        // Build share text (minimal, per spec)
+        // Archive and random plays are labelled so they aren't taken for a live daily result
+        const modeLabels = { archive: this.t('share.mode.archive'), random: this.t('share.mode.random') };
+        const labels = [modeLabels[result.mode], result.hardMode ? this.t('share.mode.hard') : null].filter(Boolean);
+        const maxTries = getMaxTries(result.hardMode);
+        const score = result.won ? `${result.history.length}/${maxTries}` : `X/${maxTries}`;
+        const grid = result.history.map(entry => ({ miss: '🟥', hint: '💡', hit: '🟩' })[entry] || '⬜').join('');
+        
         let shareText = `${headline}\n\n`;
+        shareText += `${this.t('share.title', { number: result.puzzleNumber })}${labels.length > 0 ? ` (${labels.join(', ')})` : ''} ${score}\n`;
+        if (grid) {
+            shareText += `${grid}\n`;
+        }
         
-        // Check if user won or lost
-        if (this.lastGameResult === 'win') {
-            // Add elapsed time if available - put it on same line as "Found the typo."
-            if (this.elapsedTime) {
-                const elapsedSeconds = Math.floor(this.elapsedTime / 1000);
-                const minutes = Math.floor(elapsedSeconds / 60);
-                const seconds = elapsedSeconds % 60;
-                const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
-                shareText += `Found the typo. ⏱ ${timeStr}\n\n`;
-            } else {
-                shareText += `Found the typo.\n\n`;
-            }
-        } else {
+        // Time, hints and streak on one line - the streak only means something for live daily play
+        const details = [];
+        if (result.won && result.timeMs) {
+            details.push(`⏱ ${this.formatElapsedTime(result.timeMs)}`);
+        }
+        if (result.hintsUsed > 0) {
+            details.push(`💡 ${this.t('share.hints', { count: result.hintsUsed })}`);
+        }
+        if (result.mode === 'daily' && result.streak > 0) {
+            details.push(`🔥 ${this.t('share.streak', { count: result.streak })}`);
+        }
+        if (details.length > 0) {
+            shareText += `${details.join(' · ')}\n`;
+        }
+        if (!result.won) {
             // User didn't find the typo
-            shareText += `I didn't find the typo. Can you?\n\n`;
+            shareText += `${this.t('share.notFound')}\n`;
         }
+        return `${shareText}\n`;
+    }
+    
+    createResultCard(dateString) {
+        // Draws the result card and resolves to a PNG blob
+        const result = this.getShareResult(dateString);
+        const canvas = document.createElement('canvas');
+        canvas.width = CARD_WIDTH;
+        canvas.height = CARD_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return Promise.reject(new Error('Canvas is not supported'));
+        
+        drawResultCard(ctx, {
+            puzzleNumber: result.puzzleNumber,
+            dateString: this.getValidGameDate(dateString),
+            category: this.currentArticle.category,
+            title: this.currentArticle.title,
+            won: result.won,
+            history: result.history,
+            maxTries: getMaxTries(result.hardMode),
+            hardMode: result.hardMode,
+            timeText: result.won && result.timeMs ? this.formatElapsedTime(result.timeMs) : null,
+            hintsUsed: result.hintsUsed,
+            mode: result.mode,
+            url: `dailytypo.com/?p=${result.puzzleNumber}`,
+            locale: this.locale,
+            t: this.t
+        });
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the result card')), 'image/png');
+        });
+    }
+    
+    prepareResultCard(dateString) {
+        // Draws the card while the modal opens: navigator.share() must be called inside the click,
+        // before anything is awaited, so the image has to be ready by then
+        // A drawing error must not get in the way of the modal, so it only rejects the promise
+        const card = { dateString, promise: new Promise(resolve => resolve(this.createResultCard(dateString))), blob: null };
+        card.promise.then(blob => { card.blob = blob; }).catch(err => console.error('Failed to create result card:', err));
+        this.resultCard = card;
+    }
+    
+    shareCompletion() {
+        if (!this.currentArticle) return;
         
-        // Prefer production URL; fallback to current URL if not available
-        const shareUrl = 'https://dailytypo.com/';
+        const rawDateString = this.selectedDate || this.currentDateString;
+        const shareText = this.buildShareText(rawDateString);
+        
+        // Prefer production URL; link straight to this puzzle so friends play the same one
+        const shareUrl = `https://dailytypo.com/?p=${this.calculatePuzzleNumber(this.getValidGameDate(rawDateString))}`;
         
         // Add URL to text (single instance) - reduced spacing
         const shareTextWithUrl = `${shareText}${shareUrl}`;
         
+        // Use the card drawn when the modal opened, or start drawing it now - clipboard writes must begin inside the click
+        if (!this.resultCard || this.resultCard.dateString !== rawDateString) {
+            this.prepareResultCard(rawDateString);
+        }
+        const card = this.resultCard;
+        
         // Detect if actual mobile device (phone/tablet) - be strict to avoid desktop triggering
         // Only check user agent for real mobile devices, ignore screen size/touch as desktop can have those
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -1584,18 +2633,74 @@ class DailyTypoGame {
         // Use Web Share API only on actual mobile devices - desktop always copies to clipboard
         // Even if desktop browser supports Web Share API, we want clipboard copy for consistency
         if (isMobile && navigator.share) {
-            navigator.share({
+            const shareData = {
                 title: 'The Daily Typo',
                 text: shareTextWithUrl
-            }).catch(err => {
+            };
+            // Attach the card when it's drawn and the browser can share files - otherwise share the text alone
+            const cardFile = card.blob
+                ? new File([card.blob], `daily-typo-${this.getShareResult(rawDateString).puzzleNumber}.png`, { type: 'image/png' })
+                : null;
+            if (cardFile && navigator.canShare && navigator.canShare({ files: [cardFile] })) {
+                shareData.files = [cardFile];
+            }
+            navigator.share(shareData).catch(err => {
                 // User cancelled or error - fallback to clipboard
                 if (err.name !== 'AbortError') {
                 }
                 this.copyToClipboard(shareTextWithUrl);
             });
         } else {
-            // Desktop or no Web Share API - copy to clipboard (like Wordle)
-            this.copyToClipboard(shareTextWithUrl);
+            // Desktop or no Web Share API - copy the card and text to the clipboard (like Wordle)
+            this.copyResultCard(card.promise, shareTextWithUrl, rawDateString);
+        }
+    }
+    
+    copyResultCard(cardPromise, text, dateString) {
+        // Copies the card image along with the text; browsers without image clipboard support download it instead
+        if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+            this.downloadResultCard(cardPromise, dateString);
+            this.copyToClipboard(text);
+            return;
+        }
+        
+        const item = new ClipboardItem({
+            'image/png': cardPromise,
+            'text/plain': new Blob([text], { type: 'text/plain' })
+        });
+        navigator.clipboard.write([item]).then(() => {
+            this.showShareButtonFeedback(this.t('common.copied'));
+        }).catch(err => {
+            console.error('Failed to copy result card:', err);
+            this.downloadResultCard(cardPromise, dateString);
+            this.copyToClipboard(text);
+        });
+    }
+    
+    downloadResultCard(cardPromise, dateString) {
+        cardPromise.then(blob => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `daily-typo-${this.getShareResult(dateString).puzzleNumber}.png`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }).catch(() => {
+            // No card - the text copy still goes ahead
+        });
+    }
+    
+    showShareButtonFeedback(label) {
+        // Show temporary feedback
+        const shareBtn = document.getElementById('share-btn');
+        if (shareBtn) {
+            const originalHTML = shareBtn.innerHTML;
+            shareBtn.innerHTML = label;
+            setTimeout(() => {
+                shareBtn.innerHTML = originalHTML;
+            }, 2000);
         }
     }
     
@@ -1606,14 +2711,14 @@ class DailyTypoGame {
                 const shareBtn = document.getElementById('share-btn');
                 if (shareBtn) {
                     const originalHTML = shareBtn.innerHTML;
-                    shareBtn.innerHTML = 'Copied!';
+                    shareBtn.innerHTML = this.t('common.copied');
                     setTimeout(() => {
                         shareBtn.innerHTML = originalHTML;
                     }, 2000);
                 }
             }).catch(err => {
                 console.error('Failed to copy:', err);
-                alert('Share text copied to clipboard:\n\n' + text);
+                alert(this.t('share.copiedFallback', { text }));
             });
         } else {
             // Fallback for older browsers
@@ -1628,18 +2733,57 @@ class DailyTypoGame {
                 const shareBtn = document.getElementById('share-btn');
                 if (shareBtn) {
                     const originalHTML = shareBtn.innerHTML;
-                    shareBtn.innerHTML = 'Copied!';
+                    shareBtn.innerHTML = this.t('common.copied');
                     setTimeout(() => {
                         shareBtn.innerHTML = originalHTML;
                     }, 2000);
                 }
             } catch (err) {
-                alert('Share text:\n\n' + text);
+                alert(this.t('share.textFallback', { text }));
             }
             document.body.removeChild(textarea);
         }
     }
     
+    getPuzzleStatus(dateString) {
+        // 'won', 'lost', 'in-progress' or 'unplayed'
+        if (this.isCompleted(dateString)) {
+            return this.isWon(dateString) ? 'won' : 'lost';
+        }
+        return this.progress[dateString] ? 'in-progress' : 'unplayed';
+    }
+    
+    getArchivePuzzles() {
+        // Every past day that had a puzzle (excluding today), oldest first
+        return this.getPastPuzzleDates().map(dateString => {
+            const article = this.getArticleForDate(dateString);
+            
+            return {
+                num: this.calculatePuzzleNumber(dateString),
+                date: dateString,
+                title: article.title,
+                category: this.getPuzzleCategory(dateString),
+                formatted: this.formatShortDate(dateString),
+                status: this.getPuzzleStatus(dateString)
+            };
+        });
+    }
+    
+    getPuzzleCategory(dateString) {
+        // Articles without a configured category use the one detected from their snapshot
+        const article = this.getArticleForDate(dateString);
+        const snapshot = this.getArticleSnapshot(article);
+        return article.category || (snapshot && snapshot.category) || 'General Knowledge';
+    }
+    
+    matchesArchiveFilters(puzzle, ignoreStatus = false) {
+        const { search, category, status } = this.archiveFilters;
+        if (search && !puzzle.title.toLowerCase().includes(search.toLowerCase())) return false;
+        if (category && puzzle.category !== category) return false;
+        if (status && !ignoreStatus && puzzle.status !== status) return false;
+        return true;
+    }
+    
     showArchiveModal() {
         document.body.style.overflow = 'hidden';
         const modal = document.getElementById('archive-modal');
@@ -1647,63 +2791,163 @@ class DailyTypoGame {
         
         if (!modal || !archiveList) return;
         
-        // Show all available articles (puzzles 1 through yesterday, excluding today)
-        const totalArticles = this.articlesConfig.articles.length;
-        const validTodayDate = this.getValidGameDate(this.currentDateString);
-        const todayPuzzleNumber = this.calculatePuzzleNumber(validTodayDate);
-        // Exclude today's puzzle - show only up to yesterday
-        const maxPuzzleNumber = Math.min(totalArticles, Math.max(1, todayPuzzleNumber - 1));
-        
-        const puzzles = [];
+        this.archivePuzzles = this.getArchivePuzzles();
         
-        for (let puzzleNum = 1; puzzleNum <= maxPuzzleNumber; puzzleNum++) {
-            // Get article
-            const article = this.articlesConfig.articles[puzzleNum - 1];
-            
-            // Calculate date for this puzzle
-            const dateString = this.calculateDateFromPuzzleNumber(puzzleNum);
-            
-            // Skip if this date is in the future or is today (safety check)
-            if (this.isFutureDate(dateString) || dateString === this.currentDateString) {
-                continue;
+        // Category filter options come from the puzzles themselves
+        const categorySelect = document.getElementById('archive-category-filter');
+        if (categorySelect) {
+            const categories = [...new Set(this.archivePuzzles.map(p => p.category))].sort();
+            if (!categories.includes(this.archiveFilters.category)) {
+                this.archiveFilters.category = '';
             }
-            
-            // Format date
-            const date = new Date(dateString + 'T00:00:00');
-            const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-            const formatted = `${months[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
-            
-            // Check if completed
-            const completed = this.isCompleted(dateString);
-            
-            puzzles.push({
-                num: puzzleNum,
-                date: dateString,
-                title: article.title,
-                formatted: formatted,
-                completed: completed
-            });
+            categorySelect.innerHTML = `<option value="">${this.t('archive.allCategories')}</option>` + categories.map(category => 
+                `<option value="${category}"${category === this.archiveFilters.category ? ' selected' : ''}>${category}</option>`
+            ).join('');
         }
         
-        // Render (newest first)
-        archiveList.innerHTML = puzzles.reverse().map(p => `
-            <div class="archive-item ${p.completed ? 'completed' : ''}" data-date="${p.date}">
-                <span class="archive-number">#${p.num}</span>
-                <span class="archive-title">${p.title}</span>
-                <span class="archive-date">${p.formatted}</span>
-            </div>
-        `).join('');
+        // Open the calendar on the month of the latest puzzle
+        if (!this.archiveMonth && this.archivePuzzles.length > 0) {
+            this.archiveMonth = this.archivePuzzles[this.archivePuzzles.length - 1].date.slice(0, 7);
+        }
+        
+        this.renderArchive();
+        modal.style.display = 'flex';
+    }
+    
+    renderArchive() {
+        const archiveList = document.getElementById('archive-list');
+        const archiveCalendar = document.getElementById('archive-calendar');
+        if (!archiveList || !this.archivePuzzles) return;
+        
+        document.querySelectorAll('.archive-view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.archiveView);
+        });
+        archiveList.style.display = this.archiveView === 'list' ? 'block' : 'none';
+        if (archiveCalendar) {
+            archiveCalendar.style.display = this.archiveView === 'calendar' ? 'block' : 'none';
+        }
+        
+        const statusLabels = {
+            won: this.t('archive.status.won'),
+            lost: this.t('archive.status.lost'),
+            'in-progress': this.t('archive.status.inProgress'),
+            unplayed: ''
+        };
+        
+        if (this.archiveView === 'calendar' && archiveCalendar) {
+            this.renderArchiveCalendar(archiveCalendar);
+        } else {
+            // Render (newest first)
+            const puzzles = this.archivePuzzles.filter(p => this.matchesArchiveFilters(p)).reverse();
+            archiveList.innerHTML = puzzles.length === 0
+                ? `<p class="archive-empty">${this.t('archive.noMatches')}</p>`
+                : puzzles.map(p => `
+                <div class="archive-item status-${p.status} ${p.status === 'won' || p.status === 'lost' ? 'completed' : ''}" data-date="${p.date}" data-title="${p.title}">
+                    <span class="archive-number">#${p.num}</span>
+                    <span class="archive-title">${p.title}</span>
+                    <span class="archive-status">${statusLabels[p.status]}</span>
+                    <span class="archive-date">${p.formatted}</span>
+                </div>
+            `).join('');
+        }
+        
+        const container = this.archiveView === 'calendar' ? archiveCalendar : archiveList;
+        
+        // While offline, flag puzzles whose article was never cached
+        if (!navigator.onLine) {
+            container.querySelectorAll('[data-date]').forEach(async (el) => {
+                if (!(await this.isArticleAvailableOffline(this.getArticleForDate(el.dataset.date)))) {
+                    el.classList.add('offline-unavailable');
+                    el.setAttribute('aria-disabled', 'true');
+                }
+            });
+        }
         
         // Click handler
-        archiveList.querySelectorAll('.archive-item').forEach(el => {
+        container.querySelectorAll('[data-date]').forEach(el => {
             el.addEventListener('click', () => {
+                // Puzzles that weren't saved for offline play can't be loaded until the player reconnects
+                if (el.classList.contains('offline-unavailable')) return;
                 const date = el.dataset.date;
                 this.closeArchiveModal();
                 this.loadDailyGame(date);
             });
         });
         
-        modal.style.display = 'flex';
+        const nextUnplayedBtn = document.getElementById('play-next-unplayed-btn');
+        if (nextUnplayedBtn) {
+            nextUnplayedBtn.disabled = !this.getNextUnplayedPuzzle();
+        }
+    }
+    
+    renderArchiveCalendar(container) {
+        // Month grid, weeks starting on Monday; each puzzle day shows its status
+        const [year, month] = this.archiveMonth.split('-').map(Number);
+        const byDate = new Map(this.archivePuzzles.map(p => [p.date, p]));
+        const firstMonth = this.archivePuzzles.length > 0 ? this.archivePuzzles[0].date.slice(0, 7) : this.archiveMonth;
+        const lastMonth = this.archivePuzzles.length > 0 ? this.archivePuzzles[this.archivePuzzles.length - 1].date.slice(0, 7) : this.archiveMonth;
+        
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const leadingBlanks = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+        
+        let cells = '';
+        for (let i = 0; i < leadingBlanks; i++) {
+            cells += '<div class="calendar-day empty"></div>';
+        }
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateString = `${this.archiveMonth}-${String(day).padStart(2, '0')}`;
+            const puzzle = byDate.get(dateString);
+            if (!puzzle) {
+                cells += `<div class="calendar-day no-puzzle">${day}</div>`;
+            } else if (!this.matchesArchiveFilters(puzzle)) {
+                cells += `<div class="calendar-day status-${puzzle.status} filtered-out" title="#${puzzle.num} ${puzzle.title}">${day}</div>`;
+            } else {
+                cells += `<button class="calendar-day status-${puzzle.status}" data-date="${puzzle.date}" data-title="${puzzle.title}" title="#${puzzle.num} ${puzzle.title}">${day}</button>`;
+            }
+        }
+        
+        container.innerHTML = `
+            <div class="calendar-header">
+                <button class="calendar-nav" id="calendar-prev" aria-label="${this.t('archive.previousMonth')}"${this.archiveMonth <= firstMonth ? ' disabled' : ''}>‹</button>
+                <span class="calendar-month">${formatMonth(year, month, this.locale)}</span>
+                <button class="calendar-nav" id="calendar-next" aria-label="${this.t('archive.nextMonth')}"${this.archiveMonth >= lastMonth ? ' disabled' : ''}>›</button>
+            </div>
+            <div class="calendar-grid">
+                ${getWeekdayNames(this.locale).map(d => `<div class="calendar-weekday">${d}</div>`).join('')}
+                ${cells}
+            </div>
+            <div class="calendar-legend">
+                <span class="legend-item"><span class="legend-swatch status-won"></span>${this.t('archive.status.won')}</span>
+                <span class="legend-item"><span class="legend-swatch status-lost"></span>${this.t('archive.status.lost')}</span>
+                <span class="legend-item"><span class="legend-swatch status-in-progress"></span>${this.t('archive.status.inProgress')}</span>
+                <span class="legend-item"><span class="legend-swatch status-unplayed"></span>${this.t('archive.status.unplayed')}</span>
+            </div>
+        `;
+        
+        const shiftMonth = (delta) => {
+            const shifted = new Date(year, month - 1 + delta, 1);
+            this.archiveMonth = `${shifted.getFullYear()}-${String(shifted.getMonth() + 1).padStart(2, '0')}`;
+            this.renderArchive();
+        };
+        container.querySelector('#calendar-prev').addEventListener('click', () => shiftMonth(-1));
+        container.querySelector('#calendar-next').addEventListener('click', () => shiftMonth(1));
+    }
+    
+    getNextUnplayedPuzzle() {
+        // The oldest puzzle not finished yet (in-progress ones included) that matches the search and category
+        return (this.archivePuzzles || []).find(p => 
+            (p.status === 'unplayed' || p.status === 'in-progress') && this.matchesArchiveFilters(p, true)
+        ) || null;
+    }
+    
+    playNextUnplayed() {
+        const puzzle = this.getNextUnplayedPuzzle();
+        if (!puzzle) {
+            alert(this.t('archive.allPlayed'));
+            return;
+        }
+        this.closeArchiveModal();
+        this.loadDailyGame(puzzle.date);
     }
     
     closeArchiveModal() {
@@ -1715,13 +2959,90 @@ class DailyTypoGame {
         }
     }
     
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('/sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({
+                        type: 'PRECACHE_ARTICLES',
+                        urls: this.getUpcomingSummaryUrls()
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+    }
+    
+    getUpcomingSummaryUrls() {
+        // Summaries for today and the next few days, so they can be played offline
+        const urls = [];
+        const today = this.getDateString(new Date());
+        for (let i = 0; i <= this.precacheDays; i++) {
+            const article = this.getArticleForDate(addDays(today, i));
+            if (article && article.title && !article.extract && !this.getArticleSnapshot(article)) {
+                urls.push(this.getArticleSource(article).getSummaryUrl(article.title));
+            }
+        }
+        return [...new Set(urls)];
+    }
+    
+    updateOnlineStatus() {
+        const offlineBanner = document.getElementById('offline-banner');
+        if (offlineBanner) {
+            offlineBanner.style.display = navigator.onLine ? 'none' : 'flex';
+        }
+    }
+    
+    async isArticleAvailableOffline(article) {
+        if (!article || article.extract || this.getArticleSnapshot(article)) return true;
+        if (!('caches' in window)) return false;
+        const cached = await caches.match(this.getArticleSource(article).getSummaryUrl(article.title));
+        return Boolean(cached);
+    }
+    
+    showOfflineMessage() {
+        const feedbackDiv = document.getElementById('feedback');
+        if (feedbackDiv) {
+            feedbackDiv.innerHTML = 
+                `<div style="text-align: center; padding: 20px;">
+                    <h3 style="color: #666; margin: 0 0 10px 0;">${this.t('offline.title')}</h3>
+                    <p style="margin: 0; color: #999;">${this.t('offline.message')}</p>
+                </div>`;
+            feedbackDiv.className = 'feedback';
+        }
+        const gameContent = document.getElementById('game-content');
+        const articleContent = document.getElementById('article-content');
+        const articleTitle = document.getElementById('article-title');
+        if (articleContent) articleContent.innerHTML = '';
+        if (articleTitle) articleTitle.textContent = '';
+        if (gameContent) gameContent.style.display = 'block';
+    }
+    
+    showNoPuzzleScheduled(dateString) {
+        const noPuzzleScreen = document.getElementById('no-puzzle-screen');
+        const noPuzzleDate = document.getElementById('no-puzzle-date');
+        const gameContent = document.getElementById('game-content');
+        
+        if (noPuzzleDate) {
+            noPuzzleDate.textContent = formatDate(dateString, this.locale, { month: 'long', day: 'numeric', year: 'numeric' });
+        }
+        if (gameContent) gameContent.style.display = 'none';
+        if (noPuzzleScreen) noPuzzleScreen.style.display = 'block';
+        
+        this.updateDailyInfo();
+    }
+    
     showNoArticlesMessage() {
         const feedbackDiv = document.getElementById('feedback');
         if (feedbackDiv) {
             feedbackDiv.innerHTML = 
                 `<div style="text-align: center; padding: 20px;">
-                    <h3 style="color: #666; margin: 0 0 10px 0;">No Articles Available</h3>
-                    <p style="margin: 0; color: #999;">Please ensure articles-config.json contains articles.</p>
+                    <h3 style="color: #666; margin: 0 0 10px 0;">${this.t('error.noArticlesTitle')}</h3>
+                    <p style="margin: 0; color: #999;">${this.t('error.noArticlesMessage')}</p>
                 </div>`;
             feedbackDiv.className = 'feedback';
         }
@@ -1729,70 +3050,33 @@ class DailyTypoGame {
     
     replaceWrongWordsWithCorrect() {
         // Replace wrong words with correct words in the displayed article
-        if (!this.errorWords || !this.originalWords) return;
-        
-        // Find all word elements that contain the wrong words
-        const allWordElements = document.querySelectorAll('#article-content .word-clickable');
-        const targetOccurrence = this.wrongOccurrence;
-        
-        allWordElements.forEach(wordEl => {
-            const wordText = wordEl.textContent.trim();
-            const normalizedWord = wordText.replace(/[^\w]/g, '').toLowerCase();
-            
-            // Check if this word matches any error word
-            for (let i = 0; i < this.errorWords.length; i++) {
-                const errorWord = this.errorWords[i].replace(/[^\w]/g, '').toLowerCase();
-                const originalWord = this.originalWords[i];
-                
-                if (normalizedWord === errorWord || (normalizedWord.length >= errorWord.length - 1 && normalizedWord.length <= errorWord.length + 1 && 
-                    (normalizedWord.includes(errorWord) || errorWord.includes(normalizedWord)))) {
-                    
-                    // If wrongOccurrence is specified, check the data attribute instead of counting
-                    if (targetOccurrence !== null && targetOccurrence > 0) {
-                        const wordOccurrence = parseInt(wordEl.getAttribute('data-wrong-occurrence'));
-                        if (wordOccurrence !== targetOccurrence) {
-                            // Not the target occurrence, skip this one
-                            break;
-                        }
-                    }
-                    
-                    // Preserve punctuation and case
-                    const hasPunctuation = /[^\w]/.test(wordText);
-                    const punctuation = hasPunctuation ? wordText.match(/[^\w]+$/)?.[0] || '' : '';
-                    const isCapitalized = wordText[0] === wordText[0].toUpperCase();
-                    
-                    // Build replacement word with correct case
-                    let replacementWord = originalWord;
-                    if (isCapitalized) {
-                        replacementWord = originalWord.charAt(0).toUpperCase() + originalWord.slice(1);
-                    }
-                    
-                    // Add back punctuation if it existed
-                    wordEl.textContent = replacementWord + punctuation;
-                    wordEl.classList.add('word-correct');
-                    wordEl.classList.remove('word-selected', 'word-wrong');
-                    
-                    break; // Only replace once per word
-                }
-            }
+        const tokens = this.getArticleTokens();
+        this.engine.getCorrections().forEach(({ start, length, text }) => {
+            // A phrase is written into its first word and the rest of its words are emptied
+            tokens.slice(start, start + length).forEach((el, i) => {
+                el.textContent = i === 0 ? text : '';
+                el.classList.add('word-correct');
+                el.classList.remove('word-selected', 'word-wrong');
+            });
         });
+        
+        // Every typo is revealed now
+        this.engine.revealAll();
+        this.updateTypoProgress();
+        this.syncWordAria();
     }
     
     resetGameState() {
         this.currentArticle = null;
-        this.errorWord = null;
-        this.originalWord = null;
-        this.errorWords = [];
-        this.originalWords = [];
-        this.wrongOccurrence = null;
-        this.errorSentence = null;
-        this.errorType = null;
-        this.triesRemaining = this.maxTries;
+        // Don't start timer here - it will be started when user clicks "Play Today's Article"
+        this.engine.reset();
+        this.encodedAnswer = null;
+        this.resultCard = null;
         this.selectedWords = [];
+        this.selectionAnchor = null;
+        this.dragSelection = null;
         this.clearSelection();
         this.updateMistakesDisplay();
-        // Don't start timer here - it will be started when user clicks "Play Today's Article"
-        this.gameStartTime = null;
         
         // Clear countdown interval
         if (this.countdownInterval) {
@@ -1814,8 +3098,8 @@ class DailyTypoGame {
         const submitButtonsDiv = document.getElementById('submit-buttons');
         if (submitButtonsDiv) {
             submitButtonsDiv.innerHTML = `
-                <button id="submit-guess-btn" class="submit-btn primary">SUBMIT ANSWER</button>
-                <button id="clear-selection-btn" class="submit-btn clear">Clear</button>
+                <button id="submit-guess-btn" class="submit-btn primary">${this.t('game.submit')}</button>
+                <button id="clear-selection-btn" class="submit-btn clear">${this.t('game.clear')}</button>
             `;
             const submitBtn = document.getElementById('submit-guess-btn');
             const clearBtn = document.getElementById('clear-selection-btn');
@@ -1840,7 +3124,7 @@ class DailyTypoGame {
                     <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
                     <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
                 </svg>
-                Share
+                ${this.t('share.button')}
             `;
         }
     }
@@ -1851,6 +3135,10 @@ class DailyTypoGame {
         if (welcomeScreen) {
             welcomeScreen.style.display = 'none';
         }
+        const noPuzzleScreen = document.getElementById('no-puzzle-screen');
+        if (noPuzzleScreen) {
+            noPuzzleScreen.style.display = 'none';
+        }
         if (!show) {
             // Don't show game content here - it will be shown by startGame()
             document.getElementById('game-content').style.display = 'none';
@@ -1866,13 +3154,9 @@ class DailyTypoGame {
         const rawDateString = this.selectedDate || this.currentDateString;
         const dateString = this.getValidGameDate(rawDateString);
         const puzzleNumber = this.calculatePuzzleNumber(dateString);
-        const date = new Date(dateString);
         
         // Format date (newspaper style: NOV 4, 2024)
-        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 
-                       'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-        const year = date.getFullYear();
-        const formattedDate = `${months[date.getMonth()]} ${date.getDate()}, ${year}`;
+        const formattedDate = this.formatShortDate(dateString).toLocaleUpperCase(this.locale);
         
         
         if (welcomeScreen) {
@@ -1886,7 +3170,7 @@ class DailyTypoGame {
         }
     }
     
-    startGame() {
+    async startGame() {
         // Check if today's puzzle is already completed - if so, show completed state instead
         const dateString = this.selectedDate || this.currentDateString;
         const isTodaysArticle = dateString === this.currentDateString;
@@ -1894,7 +3178,8 @@ class DailyTypoGame {
         
         if (isTodaysCompleted) {
             // Today's puzzle is already completed - show completed state
-            this.lastGameResult = 'win';
+            this.engine.end(this.isWon(dateString));
+            await this.revealAnswer();
             this.replaceWrongWordsWithCorrect();
             this.showPostGameMessage();
             // Hide submit buttons since puzzle is completed
@@ -1907,8 +3192,9 @@ class DailyTypoGame {
             return;
         }
         
-        // Start the timer
-        this.gameStartTime = Date.now();
+        // Start the timer (a resumed game keeps its original start)
+        this.engine.start();
+        this.saveProgress();
         
         // Hide welcome screen and show game content
         const welcomeScreen = document.getElementById('welcome-screen');
@@ -1950,12 +3236,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         // Get the currently displayed date (or today if none selected)
         const currentDisplayDate = game.selectedDate || game.currentDateString;
-        const currentDate = currentDisplayDate.includes('T') 
-            ? new Date(currentDisplayDate) 
-            : new Date(currentDisplayDate + 'T00:00:00');
-        const nextDate = new Date(currentDate);
-        nextDate.setDate(nextDate.getDate() + 1);
-        const nextDateString = game.getDateString(nextDate);
+        const nextDateString = addDays(currentDisplayDate, 1);
         console.log(`✓ Loading next day's puzzle (${nextDateString})...`);
         await game.loadDailyGame(nextDateString, true); // allowFuture = true for preview
     };
@@ -0,0 +1,103 @@
+// Answer encoding for articles-config.json
+// This is obfuscation, not protection: the wrong/correct pairs are encrypted with a key derived
+// from the puzzle's date and a salt that are both in the config, and the client decodes them to
+// build each puzzle. It only keeps answers from being read straight off the file. Each wrong
+// word is also kept as a salted hash so guesses can be checked without decoding it.
+// Uses only the Web Crypto API, so the same module runs in the browser and in Node.
+
+import { normalizeWord } from './article-text.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Version 1 held a single pair; version 2 holds a list of pairs
+export const ANSWER_FORMAT_VERSION = 2;
+
+export function normalizeAnswer(text) {
+    // Same normalization the game applies to selected words
+    return normalizeWord(text);
+}
+
+export function isEncodedAnswer(entry) {
+    return Boolean(entry && entry.answer && entry.answer.data && entry.answer.salt);
+}
+
+export function configDateToISO(configDate) {
+    // Config dates are written as DD.MM.YYYY
+    const match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(String(configDate || '').trim());
+    if (!match) return null;
+    return `${match[3]}-${match[2]}-${match[1]}`;
+}
+
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function deriveKey(dateString, salt) {
+    // Everything the key is derived from is public - anyone with the config can decode it
+    const material = await crypto.subtle.digest('SHA-256', encoder.encode(`daily-typo:${dateString}:${salt}`));
+    return crypto.subtle.importKey('raw', material, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+export async function hashAnswer(text, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${salt}:${normalizeAnswer(text)}`));
+    return toHex(digest);
+}
+
+export function getWrongHashes(answer) {
+    return answer.wrongHashes || [answer.wrongHash];
+}
+
+export async function encodeAnswer(pairs, dateString) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(dateString, salt);
+    const payload = encoder.encode(JSON.stringify({
+        pairs: pairs.map(pair => ({ wrong: pair.wrong, correct: pair.correct }))
+    }));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, payload);
+
+    return {
+        version: ANSWER_FORMAT_VERSION,
+        salt: salt,
+        iv: toHex(iv),
+        data: toBase64(cipher),
+        wrongHashes: await Promise.all(pairs.map(pair => hashAnswer(pair.wrong, salt)))
+    };
+}
+
+export async function decodeAnswer(answer, dateString) {
+    // Resolves to the list of { wrong, correct } pairs
+    if (answer.version !== 1 && answer.version !== ANSWER_FORMAT_VERSION) {
+        throw new Error(`Unsupported answer format version: ${answer.version}`);
+    }
+    const key = await deriveKey(dateString, answer.salt);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromHex(answer.iv) }, key, fromBase64(answer.data));
+    const payload = JSON.parse(decoder.decode(plain));
+    return payload.pairs || [{ wrong: payload.wrong, correct: payload.correct }];
+}
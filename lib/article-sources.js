@@ -0,0 +1,125 @@
+// Where puzzle articles come from
+// A config entry (or the whole config) picks its source with "source": one of the ids below,
+// or the base URL of any Wikipedia-style REST API ("https://example.org/api/rest_v1").
+// Every source builds its summary URL, the link to the full article and its attribution,
+// and fetches summaries in the same { title, extract, thumbnail, description, revision, timestamp } shape.
+
+export const DEFAULT_SOURCE = 'simplewiki';
+
+// The local source serves <title>.json files in this directory - same shape as a REST summary
+export const LOCAL_ARTICLES_DIRECTORY = 'local-articles';
+
+export function toArticleSummary(data) {
+    // The fields the game and the tools use from a REST summary response
+    return {
+        title: data.title,
+        extract: data.extract,
+        thumbnail: data.thumbnail?.source || null,
+        description: data.description || null,
+        revision: data.revision || null,
+        timestamp: data.timestamp || null
+    };
+}
+
+async function fetchJson(url, init) {
+    const response = await fetch(url, init);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: Failed to fetch article`);
+    }
+    return response.json();
+}
+
+function createRestSource({ id, name, restBase, siteUrl }) {
+    const base = restBase.replace(/\/+$/, '');
+    return {
+        id,
+        name,
+        siteUrl,
+        getSummaryUrl(title) {
+            return `${base}/page/summary/${encodeURIComponent(title)}`;
+        },
+        getArticleUrl(title) {
+            // Convert title to wiki URL format
+            return `${siteUrl}/wiki/${encodeURIComponent(title.replace(/\s+/g, '_'))}`;
+        },
+        async fetchSummary(title, init) {
+            return toArticleSummary(await fetchJson(this.getSummaryUrl(title), init));
+        }
+    };
+}
+
+function wikipedia(id, language, name) {
+    const siteUrl = `https://${language}.wikipedia.org`;
+    return createRestSource({ id, name, restBase: `${siteUrl}/api/rest_v1`, siteUrl });
+}
+
+const localSource = {
+    id: 'local',
+    name: 'Local articles',
+    siteUrl: `${LOCAL_ARTICLES_DIRECTORY}/`,
+    getSummaryUrl(title) {
+        return `${LOCAL_ARTICLES_DIRECTORY}/${encodeURIComponent(title)}.json`;
+    },
+    getArticleUrl(title) {
+        // There's no page to read the full article on, so link to the file itself
+        return this.getSummaryUrl(title);
+    },
+    async fetchSummary(title, init) {
+        return toArticleSummary(await fetchJson(this.getSummaryUrl(title), init));
+    }
+};
+
+const SOURCES = {
+    enwiki: wikipedia('enwiki', 'en', 'Wikipedia'),
+    simplewiki: wikipedia('simplewiki', 'simple', 'Wikipedia (Simple English)'),
+    dewiki: wikipedia('dewiki', 'de', 'Wikipedia (Deutsch)'),
+    local: localSource
+};
+
+export const SOURCE_IDS = Object.keys(SOURCES);
+
+function isRestBaseUrl(source) {
+    return typeof source === 'string' && /^https?:\/\/[^/\s]+(\/\S*)?$/.test(source);
+}
+
+export function checkArticleSource(source) {
+    // Returns a list of problems with a "source" setting (empty when it's usable)
+    if (SOURCES[source] || isRestBaseUrl(source)) return [];
+    return [`"source" must be one of ${SOURCE_IDS.join(', ')} or a REST base URL like "https://example.org/api/rest_v1", got ${JSON.stringify(source)}`];
+}
+
+const customSources = new Map();
+
+export function getArticleSource(source = DEFAULT_SOURCE) {
+    // The source for an id or custom REST base URL; null if it isn't one
+    if (SOURCES[source]) return SOURCES[source];
+    if (!isRestBaseUrl(source)) return null;
+
+    if (!customSources.has(source)) {
+        // Articles of a MediaWiki REST API live under /wiki/ on the same site
+        const url = new URL(source);
+        customSources.set(source, createRestSource({ id: source, name: url.hostname, restBase: source, siteUrl: url.origin }));
+    }
+    return customSources.get(source);
+}
+
+export function getEntrySource(entry, config) {
+    // An entry's own source wins over the config's, which wins over the default
+    return (entry && entry.source) || (config && config.source) || DEFAULT_SOURCE;
+}
+
+export function resolveArticleSource(entry, config) {
+    // An unknown source falls back to the default rather than leaving the puzzle unplayable
+    const source = getEntrySource(entry, config);
+    const resolved = getArticleSource(source);
+    if (!resolved) {
+        console.warn(`Unknown article source ${JSON.stringify(source)} for "${entry && entry.title}", using ${DEFAULT_SOURCE}`);
+        return getArticleSource(DEFAULT_SOURCE);
+    }
+    return resolved;
+}
+
+export function getSnapshotKey(title, source = DEFAULT_SOURCE) {
+    // Snapshots of the default source keep their plain title keys from before there were sources
+    return source === DEFAULT_SOURCE ? title : `${source}:${title}`;
+}
@@ -0,0 +1,123 @@
+// Splitting an article extract into the words a player can pick, and comparing words
+// The game, the engine and the tests all see the same words in the same order: a word is
+// a run of non-whitespace, numbered across paragraphs (its "token index").
+// Inside a token, words are found by one Unicode-aware tokenizer: letters, marks and digits of
+// any script, joined by an apostrophe or hyphen ("can't", "Jean-Luc") and digits also by a
+// decimal or thousands separator ("8,848", "3.14"). Anything else is punctuation around a word.
+
+const WORD_CHARACTER = '[\\p{L}\\p{M}\\p{N}_]';
+const JOINER = '[\'\\u2019\\u02BC\\u2010\\u2011-]';
+const WORD = `${WORD_CHARACTER}+(?:(?:${JOINER}|(?<=\\p{N})[.,](?=\\p{N}))${WORD_CHARACTER}+)*`;
+
+export function findWords(text) {
+    // Every word in the text as { text, start, end }
+    return [...String(text).matchAll(new RegExp(WORD, 'gu'))].map(match => ({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function wordPattern(text, flags = '') {
+    // A regex for the text as whole words only: "art" isn't found in "start", "can" not in "can't"
+    // and "848" not in "8,848". Edges that are punctuation match anywhere.
+    const before = /^[\p{L}\p{M}\p{N}_]/u.test(text)
+        ? `(?<!${WORD_CHARACTER}${JOINER}?${/^\p{N}/u.test(text) ? '|\\p{N}[.,]' : ''})`
+        : '';
+    const after = /[\p{L}\p{M}\p{N}_]$/u.test(text)
+        ? `(?!${JOINER}?${WORD_CHARACTER}${/\p{N}$/u.test(text) ? '|[.,]\\p{N}' : ''})`
+        : '';
+    return new RegExp(before + escapeRegExp(text) + after, `${flags}u`);
+}
+
+export function normalizeWord(text) {
+    // Punctuation around words and case don't matter when a guess is compared with a wrong word;
+    // typographic apostrophes and hyphens count as the plain ones
+    return findWords(String(text).normalize('NFC'))
+        .map(word => word.text.replace(/[\u2019\u02BC]/g, "'").replace(/[\u2010\u2011]/g, '-'))
+        .join(' ')
+        .toLowerCase();
+}
+
+export function isPhrase(text) {
+    return /\S\s+\S/.test(text.trim());
+}
+
+export function isNearMatch(word, target) {
+    // Exact match is best
+    if (word === target) {
+        return true;
+    }
+    // Only allow substring match if one is significantly shorter than the other
+    // (e.g., "the" in "there" is not a match, but "run" in "running" might be)
+    const lengthDiff = Math.abs(word.length - target.length);
+    const minLength = Math.min(word.length, target.length);
+    // Allow substring match only if the shorter word is at least 3 chars and
+    // the length difference is reasonable (not more than 2 chars)
+    return minLength >= 3 && lengthDiff <= 2 && (word.includes(target) || target.includes(word));
+}
+
+export function splitArticle(extract) {
+    // Paragraphs (split on blank lines) of words and the whitespace between them, in order.
+    // Returns { paragraphs: [[{ text, tokenIndex }]], tokens: [{ text, paragraph }] } - whitespace
+    // pieces have a tokenIndex of null and are kept so the text can be rendered as it was
+    const paragraphs = [];
+    const tokens = [];
+    String(extract || '').split(/\n\n+/).filter(para => para.trim()).forEach((para, paragraph) => {
+        paragraphs.push(para.split(/(\s+)/).filter(piece => piece !== '').map(piece => {
+            if (/^\s+$/.test(piece)) {
+                return { text: piece, tokenIndex: null };
+            }
+            tokens.push({ text: piece, paragraph });
+            return { text: piece, tokenIndex: tokens.length - 1 };
+        }));
+    });
+    return { paragraphs, tokens };
+}
+
+export function getSentenceRange(tokens, index) {
+    // First and last token index of the sentence around a word - a sentence ends with . ! ? (or
+    // another script's full stop, such as 。) and never runs past its paragraph
+    const endsSentence = token => /\p{Sentence_Terminal}["'\p{Pf}\p{Pe}]*$/u.test(token.text.trim());
+    const paragraph = tokens[index].paragraph;
+
+    let first = index;
+    while (first > 0 && tokens[first - 1].paragraph === paragraph && !endsSentence(tokens[first - 1])) {
+        first--;
+    }
+    let last = index;
+    while (last < tokens.length - 1 && tokens[last + 1].paragraph === paragraph && !endsSentence(tokens[last])) {
+        last++;
+    }
+    return { first, last };
+}
+
+function matchCase(word, source) {
+    return /^[\p{Lu}\p{Lt}]/u.test(source) ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+}
+
+function splitPunctuation(text) {
+    // { leading, word, trailing }: the punctuation before the first word, the first word and the
+    // punctuation after the last word
+    const words = findWords(text);
+    if (words.length === 0) return { leading: '', word: '', trailing: '' };
+    return { leading: text.slice(0, words[0].start), word: words[0].text, trailing: text.slice(words[words.length - 1].end) };
+}
+
+export function correctWordText(wrongText, correctWord) {
+    // The correct word in place of a wrong one, keeping its capital letter and the punctuation around it
+    const { leading, word, trailing } = splitPunctuation(wrongText.trim());
+    return leading + matchCase(correctWord, word) + trailing;
+}
+
+export function correctPhraseText(wrongTokens, correctPhrase) {
+    // The correct phrase in place of a run of wrong words, keeping the leading and trailing
+    // punctuation of the run and the capitalization of the word each correct word stands in for
+    const parts = wrongTokens.map(token => splitPunctuation(token.trim()));
+    const correctTokens = correctPhrase.trim().split(/\s+/).map((token, i) => matchCase(token, parts[i] ? parts[i].word : ''));
+    return parts[0].leading + correctTokens.join(' ') + parts[parts.length - 1].trailing;
+}
@@ -0,0 +1,406 @@
+// Headless game engine - the rules of one puzzle, without the DOM or storage
+// The page renders whatever state a Game holds and passes the player's picks in as token
+// indexes (see article-text.js); the same engine runs under Node for the tests.
+//
+//   loading --load()--> playing --guess()/takeHint()--> won | lost
+//
+// end() moves straight to won or lost, for a puzzle that was finished earlier or given up.
+
+import { hashAnswer, normalizeAnswer } from './answer-codec.js';
+import { correctPhraseText, correctWordText, getSentenceRange, isNearMatch, isPhrase, normalizeWord, splitArticle } from './article-text.js';
+import { findTokenRuns, findTokenSequence } from './word-replacement.js';
+
+export const MAX_TRIES = 3; // 3 total attempts = 2 mistakes allowed
+export const HARD_MODE_TRIES = 1;
+
+export const GameStatus = {
+    LOADING: 'loading',
+    PLAYING: 'playing',
+    WON: 'won',
+    LOST: 'lost'
+};
+
+export function getMaxTries(hardMode) {
+    return hardMode ? HARD_MODE_TRIES : MAX_TRIES;
+}
+
+export class Game {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.status = GameStatus.LOADING;
+        this.paragraphs = []; // Words and whitespace per paragraph, for rendering
+        this.tokens = []; // { text, paragraph } for every word, in reading order
+        this.typos = []; // { wrong, correct, wrongOccurrence } - correct stays null for encoded puzzles until revealed
+        this.answer = null; // { salt, wrongHashes } of an encoded puzzle - guesses are checked against the hashes
+        this.wrongOccurrences = []; // Per token: which occurrence of a wrong word it is, or null
+        this.hardMode = false; // Fixed once the first attempt is made
+        this.triesRemaining = MAX_TRIES;
+        this.hintsUsed = 0; // Each hint costs one attempt
+        this.history = []; // 'miss', 'hint' or 'hit' for every attempt spent, for the share grid
+        this.foundTypos = new Set(); // Indexes of typos already found in a multi-typo puzzle
+        this.foundTokens = new Set(); // Tokens locked in as found typos
+        this.missedTokens = new Set(); // Tokens picked in a wrong guess - they stay marked
+        this.startedAt = null; // Timer starts when the player starts, not when the puzzle loads
+        this.elapsedMs = null; // Time taken, once the game is over
+    }
+
+    load(puzzle, { hardMode = false } = {}) {
+        // puzzle: { extract, typos: [{ wrong, correct, wrongOccurrence }], answer: { salt, wrongHashes } | null }
+        this.reset();
+        const { paragraphs, tokens } = splitArticle(puzzle.extract);
+        this.paragraphs = paragraphs;
+        this.tokens = tokens;
+        this.typos = puzzle.typos.map(typo => ({
+            wrong: typo.wrong,
+            correct: typo.correct || null,
+            wrongOccurrence: typo.wrongOccurrence > 0 ? typo.wrongOccurrence : null
+        }));
+        this.answer = puzzle.answer || null;
+        this.hardMode = hardMode;
+        this.triesRemaining = getMaxTries(hardMode);
+
+        // Number the occurrences of each wrong word so wrongOccurrence can pick out one of them
+        const wrongWords = this.typos.map(typo => normalizeWord(typo.wrong));
+        const counts = new Map();
+        this.wrongOccurrences = this.tokens.map(token => {
+            const word = normalizeWord(token.text);
+            if (!word || !wrongWords.includes(word)) return null;
+            counts.set(word, (counts.get(word) || 0) + 1);
+            return counts.get(word);
+        });
+
+        this.status = GameStatus.PLAYING;
+    }
+
+    get maxTries() {
+        return getMaxTries(this.hardMode);
+    }
+
+    get typoCount() {
+        return this.typos.length || 1;
+    }
+
+    isPlaying() {
+        return this.status === GameStatus.PLAYING;
+    }
+
+    isOver() {
+        return this.status === GameStatus.WON || this.status === GameStatus.LOST;
+    }
+
+    isUnderway() {
+        // Once an attempt is spent (or a typo found) the game's mode can't change any more
+        return this.isPlaying() && (this.history.length > 0 || this.foundTypos.size > 0);
+    }
+
+    setHardMode(hardMode) {
+        // Returns false when the game is already underway and keeps its mode
+        if (this.isUnderway()) return false;
+        this.hardMode = hardMode;
+        this.triesRemaining = this.maxTries;
+        return true;
+    }
+
+    start(now = Date.now()) {
+        if (!this.startedAt) {
+            this.startedAt = now;
+        }
+    }
+
+    getElapsedTime(now = Date.now()) {
+        if (this.elapsedMs !== null) return this.elapsedMs;
+        if (!this.startedAt) return null;
+        return now - this.startedAt;
+    }
+
+    getAttemptsUsed() {
+        // A winning guess doesn't consume a try, so count it on top of the misses (and hints)
+        const misses = this.maxTries - Math.max(0, this.triesRemaining);
+        return this.status === GameStatus.WON ? misses + 1 : misses;
+    }
+
+    getResult() {
+        return {
+            won: this.status === GameStatus.WON,
+            attempts: this.getAttemptsUsed(),
+            timeMs: this.getElapsedTime(),
+            hintsUsed: this.hintsUsed,
+            history: [...this.history],
+            hardMode: this.hardMode
+        };
+    }
+
+    end(won, now = Date.now()) {
+        if (this.isOver()) return;
+        this.elapsedMs = this.startedAt ? now - this.startedAt : null;
+        this.status = won ? GameStatus.WON : GameStatus.LOST;
+    }
+
+    getTypoTokens(typoIndex) {
+        // Token indexes of the word (or run of words, for a phrase) where the typo sits
+        const runs = findTokenRuns(this.tokens.map(token => token.text), this.typos[typoIndex].wrong);
+        const targetOccurrence = this.typos[typoIndex].wrongOccurrence;
+        const run = targetOccurrence ? runs[targetOccurrence - 1] : runs[0];
+        if (!run) return [];
+        return Array.from({ length: run.length }, (_, offset) => run.start + offset);
+    }
+
+    getSentenceTokens(tokenIndex) {
+        const { first, last } = getSentenceRange(this.tokens, tokenIndex);
+        return Array.from({ length: last - first + 1 }, (_, offset) => first + offset);
+    }
+
+    isPickable(tokenIndex) {
+        // Words that can be part of a guess - found typos are locked in, bare punctuation isn't a word
+        const token = this.tokens[tokenIndex];
+        return Boolean(token) && !this.foundTokens.has(tokenIndex) && normalizeWord(token.text).length > 0;
+    }
+
+    groupIntoRuns(tokenIndexes) {
+        // Splits a selection into runs of adjacent words, in article order - words only split by
+        // punctuation tokens (which can't be picked) still form one run
+        const runs = [];
+        [...new Set(tokenIndexes)].sort((a, b) => a - b).forEach(index => {
+            const run = runs[runs.length - 1];
+            if (run && this.tokens.slice(run[run.length - 1] + 1, index).every(token => !normalizeWord(token.text))) {
+                run.push(index);
+            } else {
+                runs.push([index]);
+            }
+        });
+        return runs;
+    }
+
+    async hashGuess(text) {
+        // Encoded puzzles check guesses against the salted hash of the wrong word or phrase
+        return this.answer ? hashAnswer(text, this.answer.salt) : null;
+    }
+
+    findMatchingPhraseTypo(run, guessHash) {
+        // Like findMatchingTypo, but for a multi-word typo that must be selected as one whole run
+        const runText = run.map(index => this.tokens[index].text.trim()).join(' ');
+
+        return this.typos.findIndex((typo, i) => {
+            if (this.foundTypos.has(i) || !isPhrase(typo.wrong)) return false;
+
+            const matchesError = this.answer
+                ? guessHash === this.answer.wrongHashes[i]
+                : normalizeAnswer(runText) === normalizeAnswer(typo.wrong);
+            if (!matchesError) return false;
+
+            // Phrase occurrences are counted over the article's words
+            const starts = findTokenSequence(this.tokens.map(token => token.text), typo.wrong);
+            if (typo.wrongOccurrence) {
+                return starts[typo.wrongOccurrence - 1] === run[0];
+            }
+            return starts.includes(run[0]);
+        });
+    }
+
+    findMatchingTypo(tokenIndex, guessHash) {
+        // Returns the index of the typo this word is, or -1 if it isn't one (or was already found)
+        const guessWord = normalizeWord(this.tokens[tokenIndex].text.trim());
+
+        return this.typos.findIndex((typo, i) => {
+            // Phrase typos are only matched as whole runs
+            if (this.foundTypos.has(i) || isPhrase(typo.wrong)) return false;
+
+            // Hard mode only accepts the exact word, never a near match. Encoded puzzles check the exact
+            // word against its hash but take near matches the same way, so encoding doesn't change play
+            const target = normalizeWord(typo.wrong);
+            const isExact = this.answer ? guessHash === this.answer.wrongHashes[i] : guessWord === target;
+            const matchesError = isExact || (!this.hardMode && isNearMatch(guessWord, target));
+            if (!matchesError) return false;
+
+            // If wrongOccurrence is specified, only that occurrence of the wrong word is the typo
+            if (typo.wrongOccurrence) {
+                return this.wrongOccurrences[tokenIndex] === typo.wrongOccurrence;
+            }
+            return true;
+        });
+    }
+
+    async guess(tokenIndexes, now = Date.now()) {
+        // Resolves to { outcome, hits, misses }: outcome is 'empty' (nothing pickable was selected),
+        // 'found' (some typos of a multi-typo puzzle, no wrong picks), 'miss', 'won' or 'lost';
+        // hits are the tokens locked in as found typos and misses the tokens that cost the try
+        const picked = tokenIndexes.filter(index => this.isPickable(index));
+        if (!this.isPlaying() || picked.length === 0) {
+            return { outcome: 'empty', hits: [], misses: [] };
+        }
+
+        // Sort the selection into typos (hits) and everything else (misses)
+        // A run of adjacent words is first compared as a whole phrase, then word by word
+        const hits = [];
+        const misses = [];
+        for (const run of this.groupIntoRuns(picked)) {
+            if (run.length > 1) {
+                const phraseHash = await this.hashGuess(run.map(index => this.tokens[index].text.trim()).join(' '));
+                const phraseIndex = this.findMatchingPhraseTypo(run, phraseHash);
+                if (phraseIndex !== -1) {
+                    run.forEach(index => hits.push({ index, typoIndex: phraseIndex }));
+                    continue;
+                }
+            }
+            for (const index of run) {
+                const typoIndex = this.findMatchingTypo(index, await this.hashGuess(normalizeWord(this.tokens[index].text.trim())));
+                if (typoIndex === -1) {
+                    misses.push(index);
+                } else {
+                    hits.push({ index, typoIndex });
+                }
+            }
+        }
+
+        let lockedIn = [];
+        let wrong = picked;
+        if (this.typos.length <= 1) {
+            // Single typo: must select ONLY the wrong word (all its occurrences are fine), nothing else
+            if (hits.length > 0 && misses.length === 0) {
+                this.foundTypos.add(0);
+                lockedIn = hits.map(hit => hit.index);
+            }
+        } else {
+            // Multiple typos: lock in every correct find, only the misses count against the player
+            hits.forEach(({ index, typoIndex }) => this.foundTypos.add(typoIndex));
+            lockedIn = hits.map(hit => hit.index);
+            wrong = misses;
+        }
+        lockedIn.forEach(index => this.foundTokens.add(index));
+
+        if (this.foundTypos.size === this.typoCount) {
+            this.history.push('hit');
+            this.end(true, now);
+            return { outcome: 'won', hits: lockedIn, misses: [] };
+        }
+        if (wrong.length === 0) {
+            return { outcome: 'found', hits: lockedIn, misses: [] };
+        }
+
+        // Wrong guess - remove a try
+        this.triesRemaining--;
+        this.history.push('miss');
+        wrong.forEach(index => this.missedTokens.add(index));
+        if (this.triesRemaining <= 0) {
+            this.end(false, now);
+            return { outcome: 'lost', hits: lockedIn, misses: wrong };
+        }
+        return { outcome: 'miss', hits: lockedIn, misses: wrong };
+    }
+
+    getHintLevels() {
+        // Paragraph, then sentence, then first letter - the paragraph hint is skipped for one-paragraph articles
+        return this.paragraphs.length > 1 ? ['paragraph', 'sentence', 'letter'] : ['sentence', 'letter'];
+    }
+
+    getHintTarget() {
+        // Hints point at the first typo that hasn't been found yet
+        const typoIndex = this.typos.findIndex((typo, i) => !this.foundTypos.has(i));
+        return { typoIndex, tokens: typoIndex === -1 ? [] : this.getTypoTokens(typoIndex) };
+    }
+
+    getHintBlocker() {
+        // Why a hint can't be taken right now ('not-playing', 'hard-mode', 'no-hints-left',
+        // 'last-attempt' or 'unavailable'), or null if it can
+        if (!this.isPlaying() || !this.startedAt) return 'not-playing';
+        if (this.hardMode) return 'hard-mode';
+        if (this.hintsUsed >= this.getHintLevels().length) return 'no-hints-left';
+        if (this.triesRemaining <= 1) return 'last-attempt';
+        if (this.getHintTarget().tokens.length === 0) return 'unavailable';
+        return null;
+    }
+
+    takeHint() {
+        // Spends an attempt on the next hint level; returns { level, typoIndex, tokens }
+        const blocker = this.getHintBlocker();
+        if (blocker) {
+            throw new Error(`No hint available: ${blocker}`);
+        }
+        this.hintsUsed++;
+        this.triesRemaining--;
+        this.history.push('hint');
+        return { level: this.getHintLevels()[this.hintsUsed - 1], ...this.getHintTarget() };
+    }
+
+    setCorrectWords(correctWords) {
+        // The correct words of an encoded puzzle, once they've been decoded for the reveal
+        correctWords.forEach((correct, i) => {
+            if (this.typos[i]) this.typos[i].correct = correct;
+        });
+    }
+
+    hasCorrectWords() {
+        return this.typos.length > 0 && this.typos.every(typo => typo.correct);
+    }
+
+    getCorrections() {
+        // Where the article text changes once the answer is revealed: [{ start, length, text }],
+        // one per wrong word (or run of words for a phrase), with the correct text to show instead
+        const corrections = [];
+        const covered = new Set();
+        const texts = this.tokens.map(token => token.text);
+
+        // Multi-word typos are replaced as whole runs of words first
+        this.typos.forEach(typo => {
+            if (!isPhrase(typo.wrong) || !typo.correct) return;
+            const runs = findTokenRuns(texts, typo.wrong);
+            const chosen = typo.wrongOccurrence ? runs.slice(typo.wrongOccurrence - 1, typo.wrongOccurrence) : runs;
+            chosen.forEach(({ start, length }) => {
+                corrections.push({ start, length, text: correctPhraseText(texts.slice(start, start + length), typo.correct.toLowerCase()) });
+                for (let offset = 0; offset < length; offset++) covered.add(start + offset);
+            });
+        });
+
+        this.tokens.forEach((token, index) => {
+            if (covered.has(index)) return;
+            const word = normalizeWord(token.text.trim());
+
+            // Only the wrong word itself - "part" and "cats" stay as they are when "art" or "cat" is revealed
+            const typo = this.typos.find(candidate => {
+                if (isPhrase(candidate.wrong) || !candidate.correct) return false;
+                const matches = word === normalizeWord(candidate.wrong);
+                // Not the target occurrence of this typo - it may still be another typo
+                return matches && (!candidate.wrongOccurrence || this.wrongOccurrences[index] === candidate.wrongOccurrence);
+            });
+            if (typo) {
+                corrections.push({ start: index, length: 1, text: correctWordText(token.text, typo.correct.toLowerCase()) });
+            }
+        });
+
+        return corrections.sort((a, b) => a.start - b.start);
+    }
+
+    revealAll() {
+        // Every typo counts as found once the answer is on screen
+        this.typos.forEach((typo, i) => this.foundTypos.add(i));
+    }
+
+    toProgress() {
+        // Snapshot for dailyTypoProgress, so a reloaded page can pick the game up again
+        return {
+            hardMode: this.hardMode,
+            triesRemaining: this.triesRemaining,
+            hintsUsed: this.hintsUsed,
+            history: [...this.history],
+            foundTypos: Array.from(this.foundTypos),
+            missedWords: Array.from(this.missedTokens),
+            gameStartTime: this.startedAt
+        };
+    }
+
+    restore(saved, now = Date.now()) {
+        // Puts a saved in-progress game back on the freshly loaded puzzle
+        this.triesRemaining = Math.min(this.maxTries, Math.max(1, saved.triesRemaining));
+        this.startedAt = saved.gameStartTime || now;
+        this.history = Array.isArray(saved.history) ? [...saved.history] : [];
+        (saved.foundTypos || []).filter(i => i < this.typos.length).forEach(i => {
+            this.foundTypos.add(i);
+            this.getTypoTokens(i).forEach(index => this.foundTokens.add(index));
+        });
+        (saved.missedWords || []).filter(index => this.tokens[index]).forEach(index => this.missedTokens.add(index));
+        this.hintsUsed = Math.min(saved.hintsUsed || 0, this.getHintLevels().length);
+    }
+}
@@ -0,0 +1,58 @@
+// Translated UI strings and locale-aware dates
+// Messages live in locales/<locale>.js as flat "area.name" keys. A message may use {name}
+// placeholders, and a message that depends on a number is an object of plural forms
+// ({ one, other, ... } as chosen by Intl.PluralRules for params.count).
+// Keys missing from a locale fall back to English, so a partial translation still plays.
+
+import { getDateParts } from './puzzle-clock.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'de'];
+
+export function checkLocale(locale) {
+    // Returns a list of problems with a "locale" setting (empty when it's usable)
+    if (SUPPORTED_LOCALES.includes(locale)) return [];
+    return [`"locale" must be one of ${SUPPORTED_LOCALES.join(', ')}, got ${JSON.stringify(locale)}`];
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+export function createTranslator(locale, messages, fallbackMessages = {}) {
+    const pluralRules = new Intl.PluralRules(locale);
+
+    return function t(key, params = {}) {
+        let message = messages[key] !== undefined ? messages[key] : fallbackMessages[key];
+        if (message === undefined) {
+            console.warn(`Missing translation for "${key}"`);
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(params.count)] || message.other;
+        }
+        return interpolate(message, params);
+    };
+}
+
+function toUTCDate(dateString) {
+    // Puzzle dates are calendar days, so they're formatted in UTC to keep the device's timezone out of it
+    const { year, month, day } = getDateParts(dateString);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+export function formatDate(dateString, locale, options) {
+    // options are Intl.DateTimeFormat options, e.g. { month: 'short', day: 'numeric', year: 'numeric' }
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(toUTCDate(dateString));
+}
+
+export function formatMonth(year, month, locale) {
+    // "November 2025" - month is 1-12
+    return new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(new Date(Date.UTC(year, month - 1, 1)));
+}
+
+export function getWeekdayNames(locale, width = 'short') {
+    // Monday first, for the archive calendar - 2024-01-01 was a Monday
+    const format = new Intl.DateTimeFormat(locale, { weekday: width, timeZone: 'UTC' });
+    return Array.from({ length: 7 }, (_, i) => format.format(new Date(Date.UTC(2024, 0, 1 + i))));
+}
@@ -0,0 +1,143 @@
+// Export and import of player progress
+// A versioned snapshot of the dailyTypoCompletions store, written as a JSON file or as a
+// compact text code that can be pasted on another device.
+
+export const PROGRESS_EXPORT_VERSION = 1;
+
+const EXPORT_APP = 'daily-typo';
+const CODE_PREFIX = 'DTP1:';
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const HISTORY_ENTRIES = ['miss', 'hint', 'hit'];
+
+export class ProgressImportError extends Error {
+    // Why an import was rejected: code ('not-progress', 'unsupported-version', 'invalid-date',
+    // 'invalid-entry' or 'invalid-field') and params are for the game to translate, the message is
+    // the English text for scripts and logs
+    constructor(code, params, message) {
+        super(message);
+        this.name = 'ProgressImportError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+function invalidField(dateString, field, message) {
+    return new ProgressImportError('invalid-field', { date: dateString, field }, message);
+}
+
+export function buildProgressExport(completions, stats, exportedAt = new Date()) {
+    // Stats are derived from the completions - they're included for people reading the file
+    return {
+        app: EXPORT_APP,
+        version: PROGRESS_EXPORT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        completions: completions,
+        stats: stats
+    };
+}
+
+function validateCompletion(dateString, entry) {
+    if (!DATE_KEY.test(dateString)) {
+        throw new ProgressImportError('invalid-date', { date: dateString }, `"${dateString}" is not a YYYY-MM-DD date`);
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new ProgressImportError('invalid-entry', { date: dateString }, `entry for ${dateString} must be an object`);
+    }
+    if (typeof entry.completed !== 'boolean') {
+        throw invalidField(dateString, 'completed', `entry for ${dateString} is missing "completed"`);
+    }
+    if (entry.won !== undefined && typeof entry.won !== 'boolean') {
+        throw invalidField(dateString, 'won', `"won" for ${dateString} must be true or false`);
+    }
+    if (entry.completedAt !== undefined && isNaN(Date.parse(entry.completedAt))) {
+        throw invalidField(dateString, 'completedAt', `"completedAt" for ${dateString} is not a date`);
+    }
+    ['attempts', 'hintsUsed'].forEach(field => {
+        if (entry[field] !== undefined && entry[field] !== null && !(Number.isInteger(entry[field]) && entry[field] >= 0)) {
+            throw invalidField(dateString, field, `"${field}" for ${dateString} must be a whole number`);
+        }
+    });
+    if (entry.timeMs !== undefined && entry.timeMs !== null && !(typeof entry.timeMs === 'number' && entry.timeMs >= 0)) {
+        throw invalidField(dateString, 'timeMs', `"timeMs" for ${dateString} must be a number of milliseconds`);
+    }
+    if (entry.history !== undefined && !(Array.isArray(entry.history) && entry.history.every(item => HISTORY_ENTRIES.includes(item)))) {
+        throw invalidField(dateString, 'history', `"history" for ${dateString} has unknown entries`);
+    }
+}
+
+export function parseProgressExport(text) {
+    // Returns the completions from an export file or text code; throws with a readable message otherwise
+    let data;
+    try {
+        const trimmed = String(text).trim();
+        data = JSON.parse(trimmed.startsWith(CODE_PREFIX) ? decodeBase64(trimmed.slice(CODE_PREFIX.length)) : trimmed);
+    } catch (error) {
+        throw new ProgressImportError('not-progress', {}, 'This is not a Daily Typo progress file or code.');
+    }
+    if (!data || data.app !== EXPORT_APP || typeof data.completions !== 'object' || data.completions === null) {
+        throw new ProgressImportError('not-progress', {}, 'This is not a Daily Typo progress file or code.');
+    }
+    if (data.version !== PROGRESS_EXPORT_VERSION) {
+        throw new ProgressImportError('unsupported-version', { version: data.version }, `Unsupported progress file version: ${data.version}`);
+    }
+    Object.keys(data.completions).forEach(dateString => validateCompletion(dateString, data.completions[dateString]));
+    return data.completions;
+}
+
+function completedTime(entry) {
+    // Entries saved before completedAt existed count as the oldest
+    return entry.completedAt ? Date.parse(entry.completedAt) : 0;
+}
+
+function shouldReplace(existing, incoming) {
+    // A live (daily) result is final, so a replay from another device never replaces it
+    if (existing.mode === 'daily' && incoming.mode !== 'daily') return false;
+    if (incoming.mode === 'daily' && existing.mode !== 'daily') return true;
+    return completedTime(incoming) > completedTime(existing);
+}
+
+export function mergeCompletions(existing, incoming) {
+    // Keeps whichever entry for a day was completed last; returns the merged store and what changed
+    const merged = { ...existing };
+    const added = [];
+    const updated = [];
+    let unchanged = 0;
+
+    Object.keys(incoming).sort().forEach(dateString => {
+        const entry = incoming[dateString];
+        if (!merged[dateString]) {
+            merged[dateString] = entry;
+            added.push(dateString);
+        } else if (shouldReplace(merged[dateString], entry)) {
+            merged[dateString] = entry;
+            updated.push(dateString);
+        } else {
+            unchanged++;
+        }
+    });
+
+    return { merged, added, updated, unchanged };
+}
+
+function encodeBase64(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function decodeBase64(base64) {
+    const binary = atob(base64.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+export function encodeProgressCode(exportData) {
+    // The text code carries only the completions - stats are rebuilt on import
+    const { stats, ...rest } = exportData;
+    return CODE_PREFIX + encodeBase64(JSON.stringify(rest));
+}
@@ -0,0 +1,147 @@
+// The puzzle clock - decides which day's puzzle is "today"
+// Without a configured clock the day changes at midnight on the player's device, so players in
+// different timezones get the next puzzle at different moments. "puzzleClock" in
+// articles-config.json gives every player the same puzzle at the same moment: either a fixed
+// offset ({ "utcOffsetMinutes": -300 }) or an IANA zone ({ "timeZone": "America/New_York" }),
+// in which case the day boundary follows that zone's daylight saving changes.
+// Puzzle days are plain YYYY-MM-DD strings; date arithmetic on them is done in UTC so the
+// device's own timezone and DST never shift a day.
+
+// The device's own timezone - which zone everyone shares is for the config to decide
+export const DEVICE_PUZZLE_CLOCK = { deviceTimeZone: true };
+export const DEFAULT_PUZZLE_CLOCK = DEVICE_PUZZLE_CLOCK;
+
+// Puzzle #1
+export const FIRST_GAME_DATE = '2025-10-27';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return zoneFormatters.get(timeZone);
+}
+
+export function checkPuzzleClock(clock) {
+    // Returns a list of reasons the clock can't be used
+    if (!clock || typeof clock !== 'object' || Array.isArray(clock)) {
+        return ['must be an object with "utcOffsetMinutes" or "timeZone"'];
+    }
+    const hasOffset = clock.utcOffsetMinutes !== undefined;
+    const hasZone = clock.timeZone !== undefined;
+    if (hasOffset === hasZone) {
+        return ['needs exactly one of "utcOffsetMinutes" or "timeZone"'];
+    }
+    if (hasOffset && !(Number.isInteger(clock.utcOffsetMinutes) && Math.abs(clock.utcOffsetMinutes) <= MAX_OFFSET_MINUTES)) {
+        return [`"utcOffsetMinutes" must be a whole number between -${MAX_OFFSET_MINUTES} and ${MAX_OFFSET_MINUTES}`];
+    }
+    if (hasZone) {
+        try {
+            getZoneFormatter(clock.timeZone);
+        } catch (error) {
+            return [`unknown "timeZone" ${JSON.stringify(clock.timeZone)}`];
+        }
+    }
+    return [];
+}
+
+export function resolvePuzzleClock(clock) {
+    // A missing or broken clock falls back to the device's timezone
+    if (clock === undefined || clock === null) return DEFAULT_PUZZLE_CLOCK;
+    const problems = checkPuzzleClock(clock);
+    if (problems.length > 0) {
+        console.warn(`Ignoring puzzleClock in the config (${problems.join('; ')}), using the device's timezone`);
+        return DEFAULT_PUZZLE_CLOCK;
+    }
+    return clock.timeZone ? { timeZone: clock.timeZone } : { utcOffsetMinutes: clock.utcOffsetMinutes };
+}
+
+export function getClockOffsetMinutes(instant, clock = DEFAULT_PUZZLE_CLOCK) {
+    // Minutes the puzzle clock is ahead of UTC at that moment
+    if (clock.deviceTimeZone) return -new Date(instant).getTimezoneOffset();
+    if (!clock.timeZone) return clock.utcOffsetMinutes || 0;
+    const time = Math.floor(new Date(instant).getTime() / 1000) * 1000;
+    const parts = {};
+    getZoneFormatter(clock.timeZone).formatToParts(new Date(time)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallTime - time) / MINUTE_MS);
+}
+
+export function getPuzzleDate(instant, clock = DEFAULT_PUZZLE_CLOCK) {
+    // YYYY-MM-DD of the puzzle day that contains this moment
+    const time = new Date(instant).getTime();
+    return new Date(time + getClockOffsetMinutes(time, clock) * MINUTE_MS).toISOString().slice(0, 10);
+}
+
+export function getPuzzleDayStart(dateString, clock = DEFAULT_PUZZLE_CLOCK) {
+    // Moment (ms since epoch) the puzzle day begins - 00:00 on the clock, or the first moment
+    // of the day if a DST change skips midnight
+    const midnight = dateToUTC(dateString);
+    const firstGuess = midnight - getClockOffsetMinutes(midnight, clock) * MINUTE_MS;
+    const secondGuess = midnight - getClockOffsetMinutes(firstGuess, clock) * MINUTE_MS;
+    const starts = [firstGuess, secondGuess].filter(time => getPuzzleDate(time, clock) === dateString);
+    return starts.length > 0 ? Math.min(...starts) : secondGuess;
+}
+
+export function getNextPuzzleStart(instant, clock = DEFAULT_PUZZLE_CLOCK) {
+    // Moment the next puzzle unlocks, for the countdown
+    return getPuzzleDayStart(addDays(getPuzzleDate(instant, clock), 1), clock);
+}
+
+function dateToUTC(dateString) {
+    const [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+export function addDays(dateString, days) {
+    return new Date(dateToUTC(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromDateString, toDateString) {
+    return Math.round((dateToUTC(toDateString) - dateToUTC(fromDateString)) / DAY_MS);
+}
+
+export function getDateParts(dateString) {
+    // { year, month (1-12), day, weekday (0 = Sunday) } of a YYYY-MM-DD string, for display
+    const date = new Date(dateToUTC(dateString));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay()
+    };
+}
+
+export function puzzleNumberForDate(dateString) {
+    // First game = #1, next day = #2, etc. Dates before the first game count as #1
+    return Math.max(1, daysBetween(FIRST_GAME_DATE, dateString) + 1);
+}
+
+export function dateForPuzzleNumber(puzzleNumber) {
+    return addDays(FIRST_GAME_DATE, puzzleNumber - 1);
+}
+
+export function parsePuzzleNumber(text, today) {
+    // Date of the puzzle a link names (?p=12), or null unless it's a whole number from 1 to today's puzzle -
+    // a huge number would otherwise be a date past what Date can hold
+    if (!/^\d+$/.test(String(text))) return null;
+    const puzzleNumber = Number(text);
+    if (puzzleNumber < 1 || puzzleNumber > puzzleNumberForDate(today)) return null;
+    return dateForPuzzleNumber(puzzleNumber);
+}
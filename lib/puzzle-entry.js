@@ -0,0 +1,78 @@
+// Reading puzzle entries from articles-config.json
+// A v2 entry gives either one top-level wrong/correct pair or a "replacements" list, each
+// with its own occurrence settings. Replacements are applied to the extract in list order.
+
+import { applyReplacements } from './word-replacement.js';
+
+export function isLegacyEntry(entry) {
+    // Old format: the extract is stored in the config with the typos already in it
+    return Boolean(entry && entry.extract);
+}
+
+export function getReplacements(entry) {
+    if (!entry || isLegacyEntry(entry)) return [];
+
+    const items = Array.isArray(entry.replacements)
+        ? entry.replacements
+        : [{ wrong: entry.wrong, correct: entry.correct, occurrence: entry.occurrence, wrongOccurrence: entry.wrongOccurrence }];
+
+    return items
+        .filter(item => item && item.wrong && item.correct)
+        .map(item => ({
+            wrong: item.wrong,
+            correct: item.correct,
+            occurrence: item.occurrence !== undefined ? item.occurrence : null,
+            wrongOccurrence: item.wrongOccurrence !== undefined ? item.wrongOccurrence : null
+        }));
+}
+
+export function withAnswerPairs(entry, pairs) {
+    // Puts decoded wrong/correct pairs back into an entry whose answer was encoded
+    if (Array.isArray(entry.replacements)) {
+        return {
+            ...entry,
+            // wrong/correct lead each item, as they're written in the config
+            replacements: entry.replacements.map((item, index) => ({ wrong: pairs[index].wrong, correct: pairs[index].correct, ...item }))
+        };
+    }
+    return { ...entry, wrong: pairs[0].wrong, correct: pairs[0].correct };
+}
+
+export function withoutAnswerPairs(entry) {
+    // The inverse of withAnswerPairs - strips wrong/correct but keeps occurrence settings
+    if (Array.isArray(entry.replacements)) {
+        return {
+            ...entry,
+            replacements: entry.replacements.map(({ wrong, correct, ...rest }) => rest)
+        };
+    }
+    const { wrong, correct, ...rest } = entry;
+    return rest;
+}
+
+export function getPuzzleTypos(entry) {
+    // Every typo of an entry as { wrong, correct, wrongOccurrence }, in either format
+    if (!isLegacyEntry(entry)) {
+        return getReplacements(entry).map(item => ({ wrong: item.wrong, correct: item.correct, wrongOccurrence: item.wrongOccurrence }));
+    }
+    if (Array.isArray(entry.replacements) && entry.replacements.length > 0) {
+        return entry.replacements.map(item => ({ wrong: item.replacement, correct: item.original, wrongOccurrence: null }));
+    }
+    return [{ wrong: entry.wrongWord, correct: entry.originalWord, wrongOccurrence: null }];
+}
+
+export function buildPuzzle(entry, summary = null) {
+    // The article as it's played: { title, extract, category, thumbnail, description, typos }.
+    // A v2 entry needs the article summary to put its typos into; an old-format entry has its own extract
+    const legacy = isLegacyEntry(entry);
+    const source = legacy ? entry : summary;
+    return {
+        title: entry.title,
+        extract: legacy ? entry.extract : applyReplacements(summary.extract, getReplacements(entry)),
+        // Category from the config if provided, otherwise the auto-detected one
+        category: entry.category || (!legacy && summary.category) || 'General Knowledge',
+        thumbnail: source.thumbnail || null,
+        description: source.description || null,
+        typos: getPuzzleTypos(entry)
+    };
+}
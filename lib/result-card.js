@@ -0,0 +1,184 @@
+// Newspaper-style result card for sharing
+// Draws onto any 2D canvas context, so the page can turn it into a PNG without a server.
+
+import englishMessages from '../locales/en.js';
+import { DEFAULT_LOCALE, createTranslator, formatDate } from './i18n.js';
+
+export const CARD_WIDTH = 1080;
+export const CARD_HEIGHT = 1080;
+
+const COLORS = {
+    paper: '#fefcf8',
+    ink: '#2d5016',
+    faded: 'rgba(45, 80, 22, 0.55)',
+    rule: 'rgba(45, 80, 22, 0.3)',
+    miss: '#a85555',
+    hint: '#6b8e9f',
+    hit: '#4a7c59'
+};
+
+const SERIF = "Georgia, 'Times New Roman', serif";
+
+const MODE_LABELS = {
+    daily: 'card.mode.daily',
+    archive: 'card.mode.archive',
+    random: 'card.mode.random'
+};
+
+const englishTranslator = createTranslator(DEFAULT_LOCALE, englishMessages);
+
+function formatCardDate(dateString, locale) {
+    // MONDAY, OCTOBER 27, 2025 - matches the newspaper date above the masthead
+    return formatDate(dateString, locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+        .toLocaleUpperCase(locale);
+}
+
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+function drawRule(ctx, x1, x2, y) {
+    ctx.strokeStyle = COLORS.rule;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x1, y);
+    ctx.lineTo(x2, y);
+    ctx.stroke();
+}
+
+function drawAttemptMark(ctx, entry, x, y, size) {
+    // Drawn as strokes rather than glyphs so the card doesn't depend on the fonts installed
+    ctx.strokeStyle = COLORS.paper;
+    ctx.fillStyle = COLORS.paper;
+    ctx.lineWidth = 7;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    if (entry === 'miss') {
+        ctx.moveTo(x + size * 0.3, y + size * 0.3);
+        ctx.lineTo(x + size * 0.7, y + size * 0.7);
+        ctx.moveTo(x + size * 0.7, y + size * 0.3);
+        ctx.lineTo(x + size * 0.3, y + size * 0.7);
+        ctx.stroke();
+    } else if (entry === 'hit') {
+        ctx.moveTo(x + size * 0.27, y + size * 0.52);
+        ctx.lineTo(x + size * 0.44, y + size * 0.68);
+        ctx.lineTo(x + size * 0.74, y + size * 0.33);
+        ctx.stroke();
+    } else if (entry === 'hint') {
+        ctx.font = `bold 44px ${SERIF}`;
+        ctx.fillText('?', x + size / 2, y + size / 2 + 2);
+    }
+}
+
+function drawAttempts(ctx, history, maxTries, centerX, y) {
+    // One tile per attempt, faded outlines for the ones left over
+    const size = 72;
+    const gap = 18;
+    const count = Math.max(maxTries, history.length);
+    const startX = centerX - (count * size + (count - 1) * gap) / 2;
+
+    for (let i = 0; i < count; i++) {
+        const x = startX + i * (size + gap);
+        const entry = history[i];
+        if (entry) {
+            ctx.fillStyle = COLORS[entry] || COLORS.faded;
+            ctx.fillRect(x, y, size, size);
+            drawAttemptMark(ctx, entry, x, y, size);
+        } else {
+            ctx.strokeStyle = COLORS.rule;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x + 1.5, y + 1.5, size - 3, size - 3);
+        }
+    }
+}
+
+export function drawResultCard(ctx, card) {
+    // card: { puzzleNumber, dateString, category, title, won, history, maxTries, hardMode, timeText, hintsUsed, mode, url }
+    // plus the page's locale and translator (English when they're left out)
+    const locale = card.locale || DEFAULT_LOCALE;
+    const t = card.t || englishTranslator;
+    const width = CARD_WIDTH;
+    const margin = 80;
+    const center = width / 2;
+
+    ctx.fillStyle = COLORS.paper;
+    ctx.fillRect(0, 0, width, CARD_HEIGHT);
+    ctx.strokeStyle = COLORS.ink;
+    ctx.lineWidth = 6;
+    ctx.strokeRect(30, 30, width - 60, CARD_HEIGHT - 60);
+
+    ctx.textBaseline = 'middle';
+
+    // Date and puzzle number above the masthead
+    ctx.fillStyle = COLORS.faded;
+    ctx.font = `24px ${SERIF}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(formatCardDate(card.dateString, locale), margin, 100);
+    ctx.textAlign = 'right';
+    ctx.fillText(t('card.number', { number: card.puzzleNumber }), width - margin, 100);
+
+    // Masthead: THE / DAILY TYPO between two rules
+    ctx.textAlign = 'center';
+    ctx.fillStyle = COLORS.ink;
+    ctx.font = `96px ${SERIF}`;
+    const titleWidth = ctx.measureText('DAILY TYPO').width;
+    drawRule(ctx, margin, center - titleWidth / 2 - 30, 200);
+    drawRule(ctx, center + titleWidth / 2 + 30, width - margin, 200);
+    ctx.font = `30px ${SERIF}`;
+    ctx.fillText('T H E', center, 160);
+    ctx.font = `96px ${SERIF}`;
+    ctx.fillText('DAILY TYPO', center, 225);
+    ctx.font = `italic 28px ${SERIF}`;
+    ctx.fillStyle = COLORS.faded;
+    ctx.fillText(t('card.tagline'), center, 300);
+    drawRule(ctx, margin, width - margin, 345);
+
+    // Category and headline - the article title is only given away once the typo was found
+    ctx.fillStyle = COLORS.faded;
+    ctx.font = `26px ${SERIF}`;
+    ctx.fillText((card.category || 'General Knowledge').toLocaleUpperCase(locale), center, 400);
+
+    ctx.fillStyle = COLORS.ink;
+    ctx.font = `bold 60px ${SERIF}`;
+    const headline = card.won && card.title ? card.title : t('card.challenge');
+    let lines = wrapText(ctx, headline, width - margin * 2);
+    if (lines.length > 2) {
+        lines = [lines[0], `${lines[1]}…`];
+    }
+    lines.forEach((line, i) => ctx.fillText(line, center, 480 + i * 70));
+
+    // Result
+    const resultY = 480 + lines.length * 70 + 40;
+    ctx.font = `italic 36px ${SERIF}`;
+    ctx.fillText(card.won
+        ? t('card.found', { attempts: card.history.length, maxTries: card.maxTries })
+        : t('card.notFound', { maxTries: card.maxTries }), center, resultY);
+    drawAttempts(ctx, card.history, card.maxTries, center, resultY + 50);
+
+    // Time, hints and how the puzzle was played
+    const details = [];
+    if (card.timeText) details.push(t('card.time', { time: card.timeText }));
+    if (card.hintsUsed > 0) details.push(t('share.hints', { count: card.hintsUsed }));
+    details.push(t(MODE_LABELS[card.mode] || MODE_LABELS.daily));
+    if (card.hardMode) details.push(t('card.hardMode'));
+    ctx.fillStyle = COLORS.faded;
+    ctx.font = `28px ${SERIF}`;
+    ctx.fillText(details.join('  ·  '), center, resultY + 185);
+
+    drawRule(ctx, margin, width - margin, CARD_HEIGHT - 130);
+    ctx.fillStyle = COLORS.ink;
+    ctx.font = `30px ${SERIF}`;
+    ctx.fillText(card.url || 'dailytypo.com', center, CARD_HEIGHT - 85);
+}
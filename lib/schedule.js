@@ -0,0 +1,34 @@
+// Which puzzle is shown on which day
+// Built from articles-config.json: each article is shown on its own DD.MM.YYYY date and
+// scheduled entries (keyed by YYYY-MM-DD) override articles on the same day.
+
+import { configDateToISO } from './answer-codec.js';
+import { FIRST_GAME_DATE, dateForPuzzleNumber } from './puzzle-clock.js';
+
+export function buildSchedule(config) {
+    // YYYY-MM-DD -> config entry
+    const schedule = new Map();
+    if (!config) return schedule;
+
+    (config.articles || []).forEach((article, index) => {
+        // Articles without a date keep the position-based day they always had
+        const dateString = configDateToISO(article.date) || dateForPuzzleNumber(index + 1);
+        if (schedule.has(dateString)) {
+            console.error(`⚠ Duplicate puzzle date ${dateString} in articles-config.json - keeping "${schedule.get(dateString).title}"`);
+            return;
+        }
+        schedule.set(dateString, article);
+    });
+
+    Object.keys(config.scheduled || {}).forEach(dateString => {
+        schedule.set(dateString, config.scheduled[dateString]);
+    });
+    return schedule;
+}
+
+export function getPastPuzzleDates(schedule, today) {
+    // Dates with a puzzle, from the first game up to the day before today, oldest first
+    return [...schedule.keys()]
+        .filter(dateString => dateString >= FIRST_GAME_DATE && dateString < today)
+        .sort();
+}
@@ -0,0 +1,107 @@
+// Results and statistics worked out from the dailyTypoCompletions store
+// completions: YYYY-MM-DD -> { completed, won, completedAt, mode, attempts, timeMs, hintsUsed, history, hardMode }
+
+import { DEVICE_PUZZLE_CLOCK, addDays, getPuzzleDate } from './puzzle-clock.js';
+
+export function isCompleted(completions, dateString) {
+    return Boolean(completions[dateString] && completions[dateString].completed);
+}
+
+export function isWon(completions, dateString) {
+    const completion = completions[dateString];
+    if (!completion) return false;
+    // Backward compatibility: if 'won' field doesn't exist, assume it's a win
+    // (old completions were only saved for wins, not game overs)
+    return completion.won !== false;
+}
+
+export function isLive(completions, dateString) {
+    // Whether the puzzle was played on its own day rather than caught up later
+    const completion = completions[dateString];
+    if (!completion) return false;
+    if (completion.mode) {
+        return completion.mode === 'daily';
+    }
+    // Backward compatibility: entries without a mode were live if they were completed on the puzzle's day.
+    // They were saved before the puzzle clock existed, when days were the device's own days
+    if (!completion.completedAt) return false;
+    return getPuzzleDate(new Date(completion.completedAt), DEVICE_PUZZLE_CLOCK) === dateString;
+}
+
+export function calculateStreak(completions, today) {
+    // Only live wins count - archive and random catch-up plays can't fill gaps
+    let streak = 0;
+
+    for (let i = 0; i < 365; i++) {
+        const dateString = addDays(today, -i);
+
+        if (isWon(completions, dateString) && isLive(completions, dateString)) {
+            streak++;
+        } else if (i > 0) {
+            // If we find a gap, stop counting
+            break;
+        }
+    }
+
+    return streak;
+}
+
+export function calculateMaxStreak(completions) {
+    // Longest run of consecutive days that were won live
+    const wonDates = Object.keys(completions)
+        .filter(dateString => isCompleted(completions, dateString) && isWon(completions, dateString) && isLive(completions, dateString))
+        .sort();
+
+    let maxStreak = 0;
+    let runLength = 0;
+    let previousDate = null;
+
+    wonDates.forEach(dateString => {
+        if (previousDate) {
+            runLength = addDays(previousDate, 1) === dateString ? runLength + 1 : 1;
+        } else {
+            runLength = 1;
+        }
+        maxStreak = Math.max(maxStreak, runLength);
+        previousDate = dateString;
+    });
+
+    return maxStreak;
+}
+
+export function calculateStats(completions, { today, maxTries }) {
+    // Old entries may lack attempts/timeMs - they still count towards played and win %
+    const entries = Object.keys(completions)
+        .filter(dateString => isCompleted(completions, dateString))
+        .map(dateString => ({
+            won: isWon(completions, dateString),
+            hardMode: Boolean(completions[dateString].hardMode),
+            attempts: Number.isInteger(completions[dateString].attempts) ? completions[dateString].attempts : null,
+            timeMs: typeof completions[dateString].timeMs === 'number' ? completions[dateString].timeMs : null
+        }));
+
+    const wins = entries.filter(entry => entry.won);
+    const winTimes = wins.map(entry => entry.timeMs).filter(timeMs => timeMs !== null);
+
+    const distribution = {};
+    for (let attempt = 1; attempt <= maxTries; attempt++) {
+        distribution[attempt] = 0;
+    }
+    wins.forEach(entry => {
+        if (entry.attempts !== null && distribution[entry.attempts] !== undefined) {
+            distribution[entry.attempts]++;
+        }
+    });
+
+    return {
+        played: entries.length,
+        wins: wins.length,
+        winPercent: entries.length > 0 ? Math.round((wins.length / entries.length) * 100) : 0,
+        currentStreak: calculateStreak(completions, today),
+        maxStreak: calculateMaxStreak(completions),
+        averageTimeMs: winTimes.length > 0 ? Math.round(winTimes.reduce((sum, t) => sum + t, 0) / winTimes.length) : null,
+        bestTimeMs: winTimes.length > 0 ? Math.min(...winTimes) : null,
+        hardModeWins: wins.filter(entry => entry.hardMode).length,
+        distribution: distribution
+    };
+}
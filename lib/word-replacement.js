@@ -0,0 +1,139 @@
+// Word replacement used to build a puzzle from an article extract
+// Shared by the game and the Node tools so both agree on where the typo lands.
+// "Words" may be phrases of several whitespace-separated tokens (e.g. "New York"), and only
+// ever match as whole words - replacing "art" leaves "start" alone.
+
+import { normalizeWord, wordPattern } from './article-text.js';
+
+function hasWord(text, word) {
+    return wordPattern(word).test(text);
+}
+
+export function applyWordReplacement(text, correctWord, wrongWord, occurrence = null) {
+    // If occurrence is specified, replace only that specific occurrence (1-based index)
+    if (occurrence !== null && occurrence > 0) {
+        let matchCount = 0;
+        const targetOccurrence = occurrence;
+
+        // Try case-sensitive match first
+        if (hasWord(text, correctWord)) {
+            return text.replace(wordPattern(correctWord, 'g'), (match) => {
+                matchCount++;
+                if (matchCount === targetOccurrence) {
+                    return wrongWord;
+                }
+                return match; // Keep original for other occurrences
+            });
+        }
+
+        // If not found, try case-insensitive match
+        return text.replace(wordPattern(correctWord, 'gi'), (match) => {
+            matchCount++;
+            if (matchCount === targetOccurrence) {
+                // Preserve case of original match
+                if (match[0] === match[0].toUpperCase()) {
+                    return wrongWord.charAt(0).toUpperCase() + wrongWord.slice(1).toLowerCase();
+                }
+                return wrongWord.toLowerCase();
+            }
+            return match; // Keep original for other occurrences
+        });
+    }
+
+    // Default behavior: replace all occurrences (backward compatible)
+    // Try to match with case sensitivity first (exact match)
+    if (hasWord(text, correctWord)) {
+        return text.replace(wordPattern(correctWord, 'g'), () => wrongWord);
+    }
+
+    // If not found, try case-insensitive match
+    return text.replace(wordPattern(correctWord, 'gi'), (match) => {
+        // Preserve case of original match
+        if (match[0] === match[0].toUpperCase()) {
+            return wrongWord.charAt(0).toUpperCase() + wrongWord.slice(1).toLowerCase();
+        }
+        return wrongWord.toLowerCase();
+    });
+}
+
+export function countOccurrences(text, word) {
+    // Counts the same way applyWordReplacement matches: case-sensitive first, then case-insensitive
+    const flags = hasWord(text, word) ? 'g' : 'gi';
+    return (text.match(wordPattern(word, flags)) || []).length;
+}
+
+export function findTokenRuns(tokens, phrase) {
+    // Every run of tokens that spells out the phrase (a word is a one-token phrase) as { start, length }.
+    // Tokens that are only punctuation, like a dash between words, are skipped on both sides but
+    // stay inside the run they sit in
+    const target = phrase.split(/\s+/).map(normalizeWord).filter(Boolean);
+    const words = tokens.map((token, index) => ({ index, word: normalizeWord(token) })).filter(token => token.word);
+    const runs = [];
+    if (target.length === 0) return runs;
+    for (let i = 0; i + target.length <= words.length; i++) {
+        if (target.every((word, offset) => words[i + offset].word === word)) {
+            const start = words[i].index;
+            runs.push({ start, length: words[i + target.length - 1].index - start + 1 });
+        }
+    }
+    return runs;
+}
+
+export function findTokenSequence(tokens, phrase) {
+    // Start indexes of every run of tokens that spells out the phrase
+    return findTokenRuns(tokens, phrase).map(run => run.start);
+}
+
+export function countWordTokens(text, word) {
+    // Counts whitespace-separated tokens (or runs of them, for a phrase) the way the game numbers occurrences
+    return findTokenSequence(text.split(/\s+/).filter(Boolean), word).length;
+}
+
+export function checkReplacement(text, { correct, wrong, occurrence = null, wrongOccurrence = null }) {
+    // Returns a list of reasons the replacement would not produce a playable typo
+    const problems = [];
+    const correctCount = countOccurrences(text, correct);
+
+    if (correctCount === 0) {
+        problems.push(`correct word "${correct}" no longer appears in the text`);
+        return problems;
+    }
+    if (occurrence !== null && occurrence > correctCount) {
+        problems.push(`occurrence ${occurrence} of "${correct}" requested, but the text only has ${correctCount}`);
+        return problems;
+    }
+
+    const replaced = applyWordReplacement(text, correct, wrong, occurrence);
+    if (replaced === text) {
+        problems.push(`replacing "${correct}" with "${wrong}" leaves the text unchanged`);
+        return problems;
+    }
+
+    if (wrongOccurrence !== null && wrongOccurrence > 0) {
+        const wrongCount = countWordTokens(replaced, wrong);
+        if (wrongOccurrence > wrongCount) {
+            problems.push(`wrongOccurrence ${wrongOccurrence} of "${wrong}" requested, but the puzzle text only has ${wrongCount}`);
+        }
+    }
+
+    return problems;
+}
+
+export function applyReplacements(text, replacements) {
+    // Replacements are applied in list order, each to the text the previous one produced
+    return replacements.reduce(
+        (current, replacement) => applyWordReplacement(current, replacement.correct, replacement.wrong, replacement.occurrence),
+        text
+    );
+}
+
+export function checkReplacements(text, replacements) {
+    const problems = [];
+    let current = text;
+    replacements.forEach((replacement, index) => {
+        const prefix = replacements.length > 1 ? `replacement ${index + 1}: ` : '';
+        checkReplacement(current, replacement).forEach(problem => problems.push(prefix + problem));
+        current = applyWordReplacement(current, replacement.correct, replacement.wrong, replacement.occurrence);
+    });
+    return problems;
+}
@@ -0,0 +1,225 @@
+// German (Deutsch)
+
+export default {
+    // Shared
+    'common.copied': 'Kopiert!',
+    'common.loading': 'Artikel wird geladen...',
+    'common.feedback': 'Feedback',
+    'common.close': 'Schließen',
+
+    // Masthead and menu
+    'header.streak': 'SERIE:',
+    'menu.viewStats': 'Statistik ansehen',
+    'menu.label': 'Menü',
+    'menu.playRandom': 'Zufälliges Rätsel',
+    'menu.archive': 'Archiv',
+    'menu.statistics': 'Statistik',
+    'menu.feelingStuck': 'Festgefahren?',
+    'menu.settings': 'Einstellungen',
+    'menu.blitz': 'Blitzmodus',
+    'menu.support': 'Auf Ko-fi unterstützen',
+
+    // Welcome and no-puzzle screens
+    'welcome.title': 'Bereit zum Spielen',
+    'welcome.instruction': 'Finde und klicke das falsche <span class="tutorial-typo-highlight">"Wort"</span>',
+    'welcome.subtext': 'Jeder Artikel enthält ein falsches Wort oder einen Tippfehler. Teste dein Wissen, finde den Fehler, hab Spaß und lerne etwas Neues!',
+    'welcome.start': "LOS GEHT'S",
+    'noPuzzle.title': 'Heute kein Rätsel',
+    'noPuzzle.message': 'Für den <span id="no-puzzle-date"></span> ist kein Rätsel geplant.',
+    'noPuzzle.subtext': 'Schau morgen wieder vorbei oder spiel weiter mit einem Rätsel aus dem Archiv.',
+    'noPuzzle.browseArchive': 'Archiv durchsuchen',
+
+    // Playing a puzzle
+    'game.instruction': { one: 'Finde und klicke das falsche "Wort"', other: 'Finde und klicke die {count} falschen "Wörter"' },
+    'game.typoProgress': { one: '{found} von {count} Fehler gefunden', other: '{found} von {count} Fehlern gefunden' },
+    'game.selectFirst': 'Bitte wähle zuerst ein oder mehrere Wörter im Artikel aus!',
+    'game.niceFind': { one: 'Gut gefunden! {found} von {count} Fehler gefunden.', other: 'Gut gefunden! {found} von {count} Fehlern gefunden.' },
+    'game.notTheTypo': 'Das ist nicht der Fehler.',
+    'game.attemptsRemaining': { one: 'Noch {count} Versuch', other: 'Noch {count} Versuche' },
+    'game.attemptsLabel': 'Versuche übrig',
+    'game.correction': '{wrong} sollte {correct} heißen',
+    'game.correct': 'Richtig!',
+    'game.over': 'Spiel vorbei.',
+    'game.overTitle': 'Spiel vorbei',
+    'game.solvedIn': 'Gelöst in',
+    'game.submit': 'ANTWORT ABGEBEN',
+    'game.clear': 'Zurücksetzen',
+    'game.articleLabel': 'Artikeltext',
+    'a11y.foundTypo': 'Fehler gefunden',
+    'a11y.wrongGuess': 'falsch geraten',
+    'a11y.keyboardHelp': 'Mit den Pfeiltasten links und rechts wechselst du zwischen Wörtern, mit oben und unten zwischen Sätzen und mit Strg und oben oder unten zwischen Absätzen. Leertaste wählt ein Wort aus, Umschalt mit einer Pfeiltaste wählt mehrere Wörter aus, Enter gibt die Antwort ab und Escape setzt die Auswahl zurück.',
+
+    // Hints
+    'hint.notPlaying': 'Du kommst nicht weiter? Tipps gibt es, während du ein Rätsel spielst. Du kannst auch jederzeit Wikipedia öffnen und den Artikel studieren! :-)',
+    'hint.hardMode': 'Im schweren Modus gibt es keine Tipps - du hast nur einen Versuch. Viel Glück!',
+    'hint.noHintsLeft': 'Du hast alle Tipps für dieses Rätsel verbraucht.',
+    'hint.lastAttempt': 'Ein Tipp kostet einen Versuch, und du hast nur noch deinen letzten. Viel Glück!',
+    'hint.unavailable': 'Für dieses Rätsel gibt es leider keinen Tipp.',
+    'hint.confirm': 'Einen Tipp nehmen? Er kostet einen Versuch (du hast noch {count}).',
+    'hint.paragraph': 'Tipp: Der Fehler steckt im markierten Absatz.',
+    'hint.sentence': 'Tipp: Der Fehler steckt im markierten Satz.',
+    'hint.letter': 'Tipp: Das richtige Wort beginnt mit "{letter}".',
+
+    // After the game
+    'postGame.lostToday': 'Mehr Glück beim nächsten Mal! Morgen gibt es ein neues Rätsel. Du kannst auch ein zufälliges Rätsel spielen oder im Archiv stöbern.',
+    'postGame.lost': 'Mehr Glück beim nächsten Mal! Noch ein Rätsel?',
+    'postGame.wonToday': 'Gut gemacht! Morgen gibt es ein neues Rätsel.',
+    'postGame.keepTrying': 'Weiter so! Du kannst auch zufällige Rätsel spielen oder im Archiv stöbern.',
+    'postGame.playMore': 'Lust auf mehr? Spiel ein zufälliges Rätsel oder stöbere im Archiv.',
+    'postGame.countdown': 'Nächstes Rätsel in:',
+    'postGame.playArchive': 'Archiv spielen',
+    'completion.source': 'Dieser Artikel stammt aus <a id="article-source-link" href="https://simple.wikipedia.org" target="_blank" rel="noopener noreferrer">Wikipedia</a>, <a id="wikipedia-link" href="#" target="_blank" rel="noopener noreferrer" class="wikipedia-link">hier den ganzen Artikel lesen</a>.',
+    'completion.playArchives': 'Archiv spielen',
+
+    // Offline and errors
+    'offline.title': 'Du bist offline',
+    'offline.message': 'Dieses Rätsel wurde nicht für das Offline-Spielen gespeichert. Verbinde dich wieder, um es zu laden, oder wähle im Archiv ein Rätsel, das du schon geöffnet hast.',
+    'offline.banner': 'Du bist offline. Gespeicherte Rätsel und das Archiv funktionieren weiter.',
+    'error.init': 'Das Spiel konnte nicht gestartet werden: {message}',
+    'error.unknown': 'Unbekannter Fehler',
+    'error.articleNotConfigured': 'Der Artikel "{title}" ist noch nicht eingerichtet. Bitte ergänze die Felder "wrong" und "correct".',
+    'error.fetchArticle': 'Der Artikel konnte nicht von {source} geladen werden. Bitte versuche es erneut.',
+    'error.loadGame': 'Das Spiel konnte nicht geladen werden. Bitte versuche es erneut.',
+    'error.noArticlesTitle': 'Keine Artikel verfügbar',
+    'error.noArticlesMessage': 'Bitte sorge dafür, dass articles-config.json Artikel enthält.',
+
+    // Statistics
+    'time.minutesSeconds': '{minutes} Min. {seconds} Sek.',
+    'time.seconds': '{seconds} Sek.',
+    'stats.played': 'Gespielt',
+    'stats.winPercent': 'Gewonnen %',
+    'stats.currentStreak': 'Aktuelle Serie',
+    'stats.maxStreak': 'Längste Serie',
+    'stats.hardModeWins': { one: '★ {hardModeWins} von {count} Sieg im schweren Modus', other: '★ {hardModeWins} von {count} Siegen im schweren Modus' },
+    'stats.averageTime': 'Durchschnitt',
+    'stats.bestTime': 'Bestzeit',
+    'stats.solveTime': 'Lösungszeit',
+    'stats.distribution': 'Siege nach Versuchen',
+    'stats.distributionNote': 'Jeder Tipp kostet einen Versuch, daher zählt ein Sieg nach einem Tipp einen Versuch mehr.',
+    'stats.yourProgress': 'Dein Fortschritt',
+
+    // Moving progress between devices
+    'transfer.copyCodePrompt': 'Kopiere diesen Code und füge ihn auf deinem anderen Gerät ein:',
+    'transfer.importFailed': 'Der Fortschritt konnte nicht importiert werden: {message}',
+    'transfer.error.notProgress': 'Das ist weder eine Daily-Typo-Fortschrittsdatei noch ein Daily-Typo-Fortschrittscode.',
+    'transfer.error.unsupportedVersion': 'Diese Fortschrittsdatei stammt aus einer nicht unterstützten Version ({version}).',
+    'transfer.error.invalidDate': '„{date}“ ist kein gültiges Rätseldatum.',
+    'transfer.error.invalidEntry': 'Das Ergebnis vom {date} ist beschädigt.',
+    'transfer.error.invalidField': 'Das Ergebnis vom {date} hat einen ungültigen Wert für „{field}“.',
+    'transfer.nothingToImport': { one: 'Nichts zu importieren - {count} Rätsel ist schon auf dem neuesten Stand.', other: 'Nichts zu importieren - alle {count} Rätsel sind schon auf dem neuesten Stand.' },
+    'transfer.imported': 'Fortschritt importiert.',
+    'transfer.newPuzzles': 'Neue Rätsel: {count}',
+    'transfer.updatedPuzzles': 'Aktualisierte Rätsel: {count}',
+    'transfer.upToDatePuzzles': 'Schon aktuell: {count}',
+    'transfer.statsSummary': 'Gespielt: {played} · Gewonnen %: {winPercent} · Aktuelle Serie: {streak}',
+    'transfer.pasteCodePrompt': 'Füge deinen Daily-Typo-Fortschrittscode ein:',
+    'transfer.note': 'Übertrage deine Serie und Ergebnisse auf einen anderen Browser oder ein anderes Gerät.',
+    'transfer.exportFile': 'Datei exportieren',
+    'transfer.copyCode': 'Code kopieren',
+    'transfer.importFile': 'Datei importieren',
+    'transfer.pasteCode': 'Code einfügen',
+
+    // Settings
+    'settings.hardModeLocked': 'Der schwere Modus lässt sich nur vor dem ersten Versuch umstellen. Löse zuerst dieses Rätsel!',
+    'settings.hardMode': 'Schwerer Modus',
+    'settings.hardModeDescription': 'Ein Versuch, nur genaue Wörter, keine Kategorie und kein Bild. Nur vor dem ersten Versuch.',
+    'settings.showTimer': 'Lösungszeit anzeigen',
+    'settings.showTimerDescription': 'Zeigt nach dem Rätsel, wie lange du gebraucht hast.',
+    'settings.reducedMotion': 'Bewegung reduzieren',
+    'settings.reducedMotionDescription': 'Schaltet Wackel- und Hüpfanimationen aus.',
+    'settings.fontSize': 'Textgröße im Artikel',
+    'settings.fontSize.small': 'Klein',
+    'settings.fontSize.medium': 'Mittel',
+    'settings.fontSize.large': 'Groß',
+    'settings.fontSize.xLarge': 'Sehr groß',
+    'settings.theme': 'Design',
+    'settings.theme.light': 'Hell',
+    'settings.theme.dark': 'Dunkel',
+    'settings.theme.highContrast': 'Hoher Kontrast',
+
+    // Archive
+    'archive.status.won': 'Gewonnen',
+    'archive.status.lost': 'Verloren',
+    'archive.status.inProgress': 'Begonnen',
+    'archive.status.unplayed': 'Ungespielt',
+    'archive.noMatches': 'Keine Rätsel passen zu diesen Filtern.',
+    'archive.previousMonth': 'Voriger Monat',
+    'archive.nextMonth': 'Nächster Monat',
+    'archive.allPlayed': 'Du hast jedes Rätsel im Archiv gespielt. Schau morgen wieder vorbei!',
+    'archive.allCategories': 'Alle Kategorien',
+    'archive.list': 'Liste',
+    'archive.calendar': 'Kalender',
+    'archive.search': 'Titel suchen',
+    'archive.category': 'Kategorie',
+    'archive.statusLabel': 'Status',
+    'archive.allPuzzles': 'Alle Rätsel',
+    'archive.playNext': 'Nächstes ungespieltes Rätsel',
+
+    // Random play
+    'random.noArticles': 'Keine Artikel verfügbar. Bitte versuche es erneut.',
+    'random.noCategoryPuzzles': 'Es gibt noch keine Rätsel in der Kategorie {category}. Versuch es mit einer anderen!',
+    'random.notEnoughPuzzles': 'Es gibt noch nicht genug Rätsel. Schau morgen wieder vorbei!',
+    'random.allCategoryPlayed': 'Du hast alle {count} Rätsel der Kategorie {category} gespielt. Morgen gibt es ein neues!\n\nTrotzdem ein zufälliges Rätsel wiederholen?',
+    'random.allPlayed': 'Du hast alle {count} Rätsel gespielt. Morgen gibt es ein neues!\n\nTrotzdem ein zufälliges Rätsel wiederholen?',
+
+    // Blitz mode
+    'blitz.solved': { one: 'Gelöst! +{count} Punkt', other: 'Gelöst! +{count} Punkte' },
+    'blitz.missed': 'Daneben - {correction}',
+    'blitz.score': 'Punkte',
+    'blitz.solvedCount': 'Gelöst',
+    'blitz.best': 'Rekord',
+    'blitz.newBest': '★ Neuer Rekord!',
+    'blitz.points': { one: '{count} Punkt', other: '{count} Punkte' },
+    'blitz.solvedOf': '{solved}/{played} gelöst',
+    'blitz.label': '⚡ Blitz',
+    'blitz.skip': 'Überspringen',
+    'blitz.end': 'Beenden',
+    'blitz.timesUp': 'Zeit abgelaufen!',
+    'blitz.bestScores': 'Bestenliste',
+    'blitz.playAgain': 'Nochmal spielen',
+
+    // Sharing and the result card
+    'share.headline.thisJustIn': 'SOEBEN EINGETROFFEN!',
+    'share.headline.extra': 'EXTRABLATT!',
+    'share.headline.breakingNews': 'EILMELDUNG!',
+    'share.headline.stopThePresses': 'STOPPT DIE PRESSEN!',
+    'share.mode.archive': 'Archiv',
+    'share.mode.random': 'Zufall',
+    'share.mode.hard': 'schwerer Modus',
+    'share.title': 'The Daily Typo Nr. {number}',
+    'share.hints': { one: '{count} Tipp', other: '{count} Tipps' },
+    'share.streak': { one: '{count} Tag in Folge', other: '{count} Tage in Folge' },
+    'share.notFound': 'Ich habe den Fehler nicht gefunden. Findest du ihn?',
+    'share.copiedFallback': 'Text in die Zwischenablage kopiert:\n\n{text}',
+    'share.textFallback': 'Text zum Teilen:\n\n{text}',
+    'share.button': 'Teilen',
+    'card.mode.daily': 'Tagesrätsel',
+    'card.mode.archive': 'Archivrätsel',
+    'card.mode.random': 'Zufallsrätsel',
+    'card.number': 'Nr. {number}',
+    'card.tagline': 'ein Spiel aus Fakten und Fehlern.',
+    'card.challenge': 'Findest du den Fehler?',
+    'card.found': 'Fehler gefunden in {attempts}/{maxTries}',
+    'card.notFound': 'Fehler nicht gefunden X/{maxTries}',
+    'card.time': 'Zeit {time}',
+    'card.hardMode': 'Schwerer Modus',
+
+    // Help, feedback and footer
+    'help.title': 'Spielanleitung & Infos',
+    'help.howToPlay': 'So wird gespielt',
+    'help.rules': 'Jeder Artikel enthält <strong>ein falsches "Wort"</strong> (das kann ein Wort, eine Zahl, ein Datum oder eine Wortgruppe sein). Finde mit deinem Wissen heraus, welches "Wort" falsch ist, klicke es an und gib deine Antwort ab. Du hast <strong>3 Versuche</strong>, um den Fehler zu finden.',
+    'help.hints': 'Festgefahren? Wähle im Menü <strong>Festgefahren?</strong> für einen Tipp: zuerst den Absatz, dann den Satz, dann den ersten Buchstaben des richtigen Wortes. Jeder Tipp kostet einen Versuch, und der letzte bleibt dir immer.',
+    'help.hardMode': 'Lust auf eine Herausforderung? Schalte in den Einstellungen den <strong>schweren Modus</strong> ein: Du hast nur einen Versuch, nur das genaue Wort zählt, und Kategorie und Bild sind ausgeblendet. Er lässt sich nur vor dem ersten Versuch umstellen.',
+    'help.blitz': 'Wenig Zeit? Der <strong>Blitzmodus</strong> spielt vergangene Rätsel hintereinander gegen eine 5-Minuten-Uhr. Ein Treffer im ersten Versuch bringt 3 Punkte, im zweiten 2 und im dritten 1. Blitzspiele zählen nicht für deine Serie.',
+    'help.about': 'Über das Spiel',
+    'help.aboutText': 'The Daily Typo lädt Artikel aus Wikipedia und baut in jeden Artikel einen sorgfältig ausgewählten Fehler ein. Alle Inhalte stammen aus Wikipedia und stehen unter der Lizenz <a href="https://creativecommons.org/licenses/by-sa/4.0/" target="_blank" rel="noopener noreferrer">CC BY-SA 4.0</a>.',
+    'feedbackSection.title': 'Feedback & Ideen',
+    'feedbackSection.intro': 'Wir freuen uns über deine Meinung! Dein Feedback hilft uns, The Daily Typo noch besser und unterhaltsamer zu machen.',
+    'feedbackSection.ideas': 'Teile deine Ideen für neue Spielmechaniken oder Funktionen',
+    'feedbackSection.improvements': 'Schlage Verbesserungen am Spiel vor',
+    'feedbackSection.bugs': 'Melde Fehler oder Probleme',
+    'feedbackSection.sendTo': 'Schick dein Feedback an: <strong>feedback@dailytypo.com</strong>',
+    'feedback.emailCopied': 'E-Mail kopiert',
+    'feedback.emailFallback': 'E-Mail kopiert: {email}',
+    'footer.attribution': 'Inhalte aus <a id="footer-source-link" href="https://simple.wikipedia.org" target="_blank" rel="noopener noreferrer">Wikipedia (Simple English)</a>, lizenziert unter <a href="https://creativecommons.org/licenses/by-sa/4.0/" target="_blank" rel="noopener noreferrer">CC BY-SA 4.0</a>. Für das Spiel verändert.'
+};
@@ -0,0 +1,226 @@
+// English - the messages every other locale falls back to
+// Keys are "area.name"; see lib/i18n.js for placeholders and plural forms.
+
+export default {
+    // Shared
+    'common.copied': 'Copied!',
+    'common.loading': 'Loading article...',
+    'common.feedback': 'Feedback',
+    'common.close': 'Close',
+
+    // Masthead and menu
+    'header.streak': 'STREAK:',
+    'menu.viewStats': 'View statistics',
+    'menu.label': 'Menu',
+    'menu.playRandom': 'Play Random',
+    'menu.archive': 'Archive',
+    'menu.statistics': 'Statistics',
+    'menu.feelingStuck': 'Feeling Stuck?',
+    'menu.settings': 'Settings',
+    'menu.blitz': 'Blitz Mode',
+    'menu.support': 'Support on Ko-fi',
+
+    // Welcome and no-puzzle screens
+    'welcome.title': 'Ready to Play',
+    'welcome.instruction': 'Find and click the incorrect <span class="tutorial-typo-highlight">"word"</span>',
+    'welcome.subtext': 'Each article contains one incorrect word or typo. Test your knowledge, spot the mistake, have fun and remember to learn something new!',
+    'welcome.start': 'START PLAYING',
+    'noPuzzle.title': 'No Puzzle Today',
+    'noPuzzle.message': 'There\'s no puzzle scheduled for <span id="no-puzzle-date"></span>.',
+    'noPuzzle.subtext': 'Check back tomorrow, or keep playing with a puzzle from the archive.',
+    'noPuzzle.browseArchive': 'Browse Archive',
+
+    // Playing a puzzle
+    'game.instruction': { one: 'Find and click the incorrect "word"', other: 'Find and click the {count} incorrect "words"' },
+    'game.typoProgress': { one: '{found} of {count} typo found', other: '{found} of {count} typos found' },
+    'game.selectFirst': 'Please select word(s) from the article first!',
+    'game.niceFind': { one: 'Nice find! {found} of {count} typo found.', other: 'Nice find! {found} of {count} typos found.' },
+    'game.notTheTypo': 'Not the typo.',
+    'game.attemptsRemaining': { one: '{count} attempt remaining', other: '{count} attempts remaining' },
+    'game.attemptsLabel': 'attempts remaining',
+    'game.correction': '{wrong} should be {correct}',
+    'game.correct': 'Correct!',
+    'game.over': 'Game over.',
+    'game.overTitle': 'Game Over',
+    'game.solvedIn': 'Solved in',
+    'game.submit': 'SUBMIT ANSWER',
+    'game.clear': 'Clear',
+    'game.articleLabel': 'Article text',
+    'a11y.foundTypo': 'found typo',
+    'a11y.wrongGuess': 'wrong guess',
+    'a11y.keyboardHelp': 'Use the left and right arrow keys to move between words, up and down to move between sentences, and Control with up and down to move between paragraphs. Press Space to select a word, Shift with an arrow key to select several words, Enter to submit and Escape to clear.',
+
+    // Hints
+    'hint.notPlaying': 'Feeling stuck? Hints are available while you play a puzzle. You can always open Wikipedia and study the article! :-)',
+    'hint.hardMode': 'Hints are not available in hard mode - you only get one attempt. Good luck!',
+    'hint.noHintsLeft': 'You have used every hint for this puzzle.',
+    'hint.lastAttempt': 'A hint costs one attempt, and you only have your last attempt left. Good luck!',
+    'hint.unavailable': 'Sorry, no hint is available for this puzzle.',
+    'hint.confirm': 'Get a hint? It costs one attempt (you have {count} left).',
+    'hint.paragraph': 'Hint: the typo is in the highlighted paragraph.',
+    'hint.sentence': 'Hint: the typo is in the highlighted sentence.',
+    'hint.letter': 'Hint: the correct word starts with "{letter}".',
+
+    // After the game
+    'postGame.lostToday': 'Better luck next time! A new puzzle will be available tomorrow. You can also try a random puzzle or browse the archive to keep playing.',
+    'postGame.lost': 'Better luck next time! Want to try another puzzle?',
+    'postGame.wonToday': 'Great job! Come back tomorrow for a new puzzle.',
+    'postGame.keepTrying': 'Keep trying! You can also play random puzzles or browse the archive.',
+    'postGame.playMore': 'Want to play more? Try a random puzzle or browse the archive.',
+    'postGame.countdown': 'Next puzzle available in:',
+    'postGame.playArchive': 'Play Archive',
+    'completion.source': 'This article is from <a id="article-source-link" href="https://simple.wikipedia.org" target="_blank" rel="noopener noreferrer">Wikipedia</a>, <a id="wikipedia-link" href="#" target="_blank" rel="noopener noreferrer" class="wikipedia-link">read it full on here</a>.',
+    'completion.playArchives': 'Play Archives',
+
+    // Offline and errors
+    'offline.title': "You're Offline",
+    'offline.message': "This puzzle wasn't saved for offline play. Reconnect to load it, or pick a puzzle you've already opened from the archive.",
+    'offline.banner': "You're offline. Saved puzzles and the archive still work.",
+    'error.init': 'Failed to initialize game: {message}',
+    'error.unknown': 'Unknown error',
+    'error.articleNotConfigured': 'Article "{title}" is not yet configured. Please add "wrong" and "correct" fields to the article.',
+    'error.fetchArticle': 'Failed to fetch article from {source}. Please try again.',
+    'error.loadGame': 'Failed to load game. Please try again.',
+    'error.noArticlesTitle': 'No Articles Available',
+    'error.noArticlesMessage': 'Please ensure articles-config.json contains articles.',
+
+    // Statistics
+    'time.minutesSeconds': '{minutes}m {seconds}s',
+    'time.seconds': '{seconds}s',
+    'stats.played': 'Played',
+    'stats.winPercent': 'Win %',
+    'stats.currentStreak': 'Current Streak',
+    'stats.maxStreak': 'Max Streak',
+    'stats.hardModeWins': { one: '★ {hardModeWins} of {count} win in hard mode', other: '★ {hardModeWins} of {count} wins in hard mode' },
+    'stats.averageTime': 'Average',
+    'stats.bestTime': 'Best',
+    'stats.solveTime': 'Solve Time',
+    'stats.distribution': 'Wins by Attempts',
+    'stats.distributionNote': 'Each hint uses up an attempt, so a win after a hint counts one attempt more.',
+    'stats.yourProgress': 'Your Progress',
+
+    // Moving progress between devices
+    'transfer.copyCodePrompt': 'Copy this code and paste it on your other device:',
+    'transfer.importFailed': "Couldn't import progress: {message}",
+    'transfer.error.notProgress': 'This is not a Daily Typo progress file or code.',
+    'transfer.error.unsupportedVersion': 'This progress file is from an unsupported version ({version}).',
+    'transfer.error.invalidDate': '"{date}" is not a valid puzzle date.',
+    'transfer.error.invalidEntry': 'The result for {date} is damaged.',
+    'transfer.error.invalidField': 'The result for {date} has an invalid "{field}" value.',
+    'transfer.nothingToImport': { one: 'Nothing to import - all {count} puzzle is already up to date.', other: 'Nothing to import - all {count} puzzles are already up to date.' },
+    'transfer.imported': 'Progress imported.',
+    'transfer.newPuzzles': 'New puzzles: {count}',
+    'transfer.updatedPuzzles': 'Updated puzzles: {count}',
+    'transfer.upToDatePuzzles': 'Already up to date: {count}',
+    'transfer.statsSummary': 'Played: {played} · Win %: {winPercent} · Current streak: {streak}',
+    'transfer.pasteCodePrompt': 'Paste your Daily Typo progress code:',
+    'transfer.note': 'Move your streak and results to another browser or device.',
+    'transfer.exportFile': 'Export File',
+    'transfer.copyCode': 'Copy Code',
+    'transfer.importFile': 'Import File',
+    'transfer.pasteCode': 'Paste Code',
+
+    // Settings
+    'settings.hardModeLocked': 'Hard mode can only be changed before your first attempt. Finish this puzzle first!',
+    'settings.hardMode': 'Hard Mode',
+    'settings.hardModeDescription': 'One try, exact words only, no category or picture. Only before your first attempt.',
+    'settings.showTimer': 'Show Solve Time',
+    'settings.showTimerDescription': 'Show how long you took when you finish a puzzle.',
+    'settings.reducedMotion': 'Reduce Motion',
+    'settings.reducedMotionDescription': 'Turn off shaking and bouncing animations.',
+    'settings.fontSize': 'Article Text Size',
+    'settings.fontSize.small': 'Small',
+    'settings.fontSize.medium': 'Medium',
+    'settings.fontSize.large': 'Large',
+    'settings.fontSize.xLarge': 'Extra Large',
+    'settings.theme': 'Theme',
+    'settings.theme.light': 'Light',
+    'settings.theme.dark': 'Dark',
+    'settings.theme.highContrast': 'High Contrast',
+
+    // Archive
+    'archive.status.won': 'Won',
+    'archive.status.lost': 'Lost',
+    'archive.status.inProgress': 'In progress',
+    'archive.status.unplayed': 'Unplayed',
+    'archive.noMatches': 'No puzzles match these filters.',
+    'archive.previousMonth': 'Previous month',
+    'archive.nextMonth': 'Next month',
+    'archive.allPlayed': 'You have played every puzzle in the archive. Come back tomorrow!',
+    'archive.allCategories': 'All categories',
+    'archive.list': 'List',
+    'archive.calendar': 'Calendar',
+    'archive.search': 'Search titles',
+    'archive.category': 'Category',
+    'archive.statusLabel': 'Status',
+    'archive.allPuzzles': 'All puzzles',
+    'archive.playNext': 'Play Next Unplayed',
+
+    // Random play
+    'random.noArticles': 'No articles available. Please try again.',
+    'random.noCategoryPuzzles': 'There are no {category} puzzles yet. Try another category!',
+    'random.notEnoughPuzzles': 'Not enough puzzles available yet. Come back tomorrow for more puzzles!',
+    'random.allCategoryPlayed': "You've played all {count} {category} puzzles so far. Come back tomorrow for a new one!\n\nReplay a random puzzle anyway?",
+    'random.allPlayed': "You've played all {count} puzzles so far. Come back tomorrow for a new one!\n\nReplay a random puzzle anyway?",
+
+    // Blitz mode
+    'blitz.solved': { one: 'Solved! +{count} point', other: 'Solved! +{count} points' },
+    'blitz.missed': 'Missed - {correction}',
+    'blitz.score': 'Score',
+    'blitz.solvedCount': 'Solved',
+    'blitz.best': 'Best',
+    'blitz.newBest': '★ New best score!',
+    'blitz.points': { one: '{count} point', other: '{count} points' },
+    'blitz.solvedOf': '{solved}/{played} solved',
+    'blitz.label': '⚡ Blitz',
+    'blitz.skip': 'Skip',
+    'blitz.end': 'End',
+    'blitz.timesUp': "Time's Up!",
+    'blitz.bestScores': 'Best Scores',
+    'blitz.playAgain': 'Play Again',
+
+    // Sharing and the result card
+    'share.headline.thisJustIn': 'THIS JUST IN!',
+    'share.headline.extra': 'EXTRA EXTRA!',
+    'share.headline.breakingNews': 'BREAKING NEWS!',
+    'share.headline.stopThePresses': 'STOP THE PRESSES!',
+    'share.mode.archive': 'archive',
+    'share.mode.random': 'random',
+    'share.mode.hard': 'hard mode',
+    'share.title': 'The Daily Typo #{number}',
+    'share.hints': { one: '{count} hint', other: '{count} hints' },
+    'share.streak': { one: '{count} day streak', other: '{count} day streak' },
+    'share.notFound': "I didn't find the typo. Can you?",
+    'share.copiedFallback': 'Share text copied to clipboard:\n\n{text}',
+    'share.textFallback': 'Share text:\n\n{text}',
+    'share.button': 'Share',
+    'card.mode.daily': 'Daily puzzle',
+    'card.mode.archive': 'Archive puzzle',
+    'card.mode.random': 'Random puzzle',
+    'card.number': 'No. {number}',
+    'card.tagline': 'game of facts and mistakes.',
+    'card.challenge': 'Can you find the typo?',
+    'card.found': 'Found the typo in {attempts}/{maxTries}',
+    'card.notFound': 'Typo not found X/{maxTries}',
+    'card.time': 'Time {time}',
+    'card.hardMode': 'Hard mode',
+
+    // Help, feedback and footer
+    'help.title': 'How to Play & Info',
+    'help.howToPlay': 'How to Play',
+    'help.rules': 'Each article contains <strong>one incorrect "word"</strong> (which could be a word, number, date, or phrase). Use your knowledge to identify which "word" is wrong, then click it and submit your answer. You have <strong>3 tries</strong> to find the error.',
+    'help.hints': 'Stuck? Choose <strong>Feeling Stuck?</strong> in the menu for a hint: first the paragraph, then the sentence, then the first letter of the correct word. Each hint costs one try, and you always keep your last one.',
+    'help.hardMode': 'Want more of a challenge? Turn on <strong>Hard Mode</strong> in Settings: you get a single try, only the exact word counts, and the category and picture are hidden. It can only be switched before your first attempt.',
+    'help.blitz': "Short on time? <strong>Blitz Mode</strong> runs past puzzles back to back against a 5-minute clock. A solve scores 3 points on the first try, 2 on the second and 1 on the third. Blitz games don't count towards your streak.",
+    'help.about': 'About the Game',
+    'help.aboutText': 'The Daily Typo fetches articles from Wikipedia (Simple English edition) and introduces one carefully selected error into each article. All content is sourced from Wikipedia and is licensed under <a href="https://creativecommons.org/licenses/by-sa/4.0/" target="_blank" rel="noopener noreferrer">CC BY-SA 4.0</a>.',
+    'feedbackSection.title': 'Feedback & Ideas',
+    'feedbackSection.intro': "We'd love to hear your thoughts! your feedback helps us make The Daily Typo even better and more fun.",
+    'feedbackSection.ideas': 'Share your ideas for new mechanics or features',
+    'feedbackSection.improvements': 'Suggest improvements to gameplay',
+    'feedbackSection.bugs': 'Report bugs or issues',
+    'feedbackSection.sendTo': 'Send your feedback to: <strong>feedback@dailytypo.com</strong>',
+    'feedback.emailCopied': 'Email copied',
+    'feedback.emailFallback': 'Email copied: {email}',
+    'footer.attribution': 'Content from <a id="footer-source-link" href="https://simple.wikipedia.org" target="_blank" rel="noopener noreferrer">Wikipedia (Simple English)</a>, licensed under <a href="https://creativecommons.org/licenses/by-sa/4.0/" target="_blank" rel="noopener noreferrer">CC BY-SA 4.0</a>. Content modified for gameplay.'
+};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Checks every puzzle's replacement against the live article text and reports the ones
+// whose correct word or occurrence has gone missing since the puzzle was written.
+//
+//   node scripts/check-live-articles.js                    check every puzzle
+//   node scripts/check-live-articles.js --from 2025-11-20  only puzzles dated on or after a day
+//
+// Options: --config <file> (default articles-config.json), --snapshots <file> (default article-snapshots.json)
+// Exits with status 1 when any puzzle no longer applies to the live text or couldn't be checked.
+
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { getSnapshotKey } from '../lib/article-sources.js';
+import { checkReplacements } from '../lib/word-replacement.js';
+import { listPuzzles, loadConfig, resolveReplacements } from './puzzle-config.js';
+import { fetchSummary } from './summaries.js';
+
+function parseArgs(argv) {
+    const options = { config: 'articles-config.json', snapshots: 'article-snapshots.json', from: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') {
+            options.from = argv[++i];
+        } else if (arg === '--config') {
+            options.config = argv[++i];
+        } else if (arg === '--snapshots') {
+            options.snapshots = argv[++i];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadConfig(options.config);
+    const snapshotPath = resolve(options.snapshots);
+    const snapshots = existsSync(snapshotPath) ? JSON.parse(readFileSync(snapshotPath, 'utf8')).snapshots || {} : {};
+
+    const puzzles = listPuzzles(config)
+        .filter(puzzle => puzzle.entry.title && !puzzle.entry.extract)
+        .filter(puzzle => !options.from || (puzzle.dateString && puzzle.dateString >= options.from));
+
+    const summaries = new Map();
+    let brokenCount = 0;
+    let unreachableCount = 0;
+
+    for (const puzzle of puzzles) {
+        const title = puzzle.entry.title;
+        const key = getSnapshotKey(title, puzzle.source);
+        try {
+            if (!summaries.has(key)) {
+                summaries.set(key, await fetchSummary(title, puzzle.source));
+            }
+        } catch (error) {
+            console.error(`? ${puzzle.label}: could not fetch the live article (${error.message})`);
+            unreachableCount++;
+            continue;
+        }
+        const summary = summaries.get(key);
+
+        const problems = checkReplacements(summary.extract, await resolveReplacements(puzzle));
+
+        const snapshot = snapshots[key];
+        const snapshotNote = snapshot
+            ? (snapshot.revision === summary.revision ? ' [snapshot current]' : ` [snapshot at revision ${snapshot.revision}, live is ${summary.revision}]`)
+            : ' [no snapshot]';
+
+        if (problems.length > 0) {
+            brokenCount++;
+            console.error(`✗ ${puzzle.label} (${puzzle.dateString || 'no date'})${snapshotNote}`);
+            problems.forEach(problem => console.error(`    - ${problem}`));
+        }
+    }
+
+    if (brokenCount > 0 || unreachableCount > 0) {
+        if (brokenCount > 0) {
+            console.error(`\n${brokenCount} of ${puzzles.length} puzzle(s) no longer apply to the live text.`);
+        }
+        if (unreachableCount > 0) {
+            console.error(`${unreachableCount} of ${puzzles.length} puzzle(s) could not be checked.`);
+        }
+        process.exit(1);
+    }
+    console.log(`✓ All ${puzzles.length} puzzle(s) still apply to the live text.`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
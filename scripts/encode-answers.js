@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Encodes the wrong/correct answer of every puzzle in articles-config.json so the
+// answers can't be read straight from the file. This is obfuscation against casual
+// spoilers, not secrecy: the key material is in the config and the game decodes every
+// puzzle it loads, so anyone who reads lib/answer-codec.js can decode future answers.
+// Run it before publishing the config:
+//
+//   node scripts/encode-answers.js                 encode articles-config.json in place
+//   node scripts/encode-answers.js --decode        turn encoded entries back into plain text for editing
+//   node scripts/encode-answers.js --out file.json write the result somewhere else
+//
+// Entries that are already encoded (or decoded) are left as they are, so plain and
+// encoded entries can live side by side while the config is migrated. The answer takes the
+// place of wrong/correct in each entry, so decoding an encoded config gives back the same file.
+// An encoded puzzle plays exactly like the plain one, near matches included.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { configDateToISO, decodeAnswer, encodeAnswer, isEncodedAnswer } from '../lib/answer-codec.js';
+import { getReplacements, withAnswerPairs, withoutAnswerPairs } from '../lib/puzzle-entry.js';
+
+function parseArgs(argv) {
+    const options = { config: 'articles-config.json', out: null, decode: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--decode') {
+            options.decode = true;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.config = arg;
+        }
+    }
+    return options;
+}
+
+function answerDateFor(entry, scheduledKey = null) {
+    // Must match DailyTypoGame.getAnswerKeyDate()
+    return configDateToISO(entry.date) || scheduledKey;
+}
+
+function replaceKeys(entry, removed, added) {
+    // Puts the added keys where the first removed one was, so encoding and decoding don't reorder entries
+    const result = {};
+    let inserted = false;
+    Object.keys(entry).forEach(key => {
+        if (!removed.includes(key)) {
+            result[key] = entry[key];
+        } else if (!inserted) {
+            Object.assign(result, added);
+            inserted = true;
+        }
+    });
+    return inserted ? result : { ...result, ...added };
+}
+
+async function encodeEntry(entry, label, scheduledKey) {
+    const replacements = getReplacements(entry);
+    if (isEncodedAnswer(entry) || replacements.length === 0) {
+        return { entry, changed: false };
+    }
+    const dateString = answerDateFor(entry, scheduledKey);
+    if (!dateString) {
+        throw new Error(`${label}: needs a "date" (DD.MM.YYYY) to derive its key`);
+    }
+    const answer = await encodeAnswer(replacements, dateString);
+    if (Array.isArray(entry.replacements)) {
+        return { entry: { ...withoutAnswerPairs(entry), answer }, changed: true };
+    }
+    return { entry: replaceKeys(entry, ['wrong', 'correct'], { answer }), changed: true };
+}
+
+async function decodeEntry(entry, label, scheduledKey) {
+    if (!isEncodedAnswer(entry)) {
+        return { entry, changed: false };
+    }
+    const dateString = answerDateFor(entry, scheduledKey);
+    if (!dateString) {
+        throw new Error(`${label}: needs a "date" (DD.MM.YYYY) to derive its key`);
+    }
+    const pairs = await decodeAnswer(entry.answer, dateString);
+    if (Array.isArray(entry.replacements)) {
+        return { entry: replaceKeys(withAnswerPairs(entry, pairs), ['answer'], {}), changed: true };
+    }
+    return { entry: replaceKeys(entry, ['answer'], { wrong: pairs[0].wrong, correct: pairs[0].correct }), changed: true };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/encode-answers.js [config] [--decode] [--out file]');
+        return;
+    }
+
+    const configPath = resolve(options.config);
+    const config = JSON.parse(readFileSync(configPath, 'utf8'));
+    const transform = options.decode ? decodeEntry : encodeEntry;
+    let changedCount = 0;
+
+    const articles = config.articles || [];
+    for (let i = 0; i < articles.length; i++) {
+        const label = `articles[${i}] "${articles[i].title}"`;
+        const result = await transform(articles[i], label, null);
+        articles[i] = result.entry;
+        if (result.changed) changedCount++;
+    }
+
+    const scheduled = config.scheduled || {};
+    for (const dateKey of Object.keys(scheduled)) {
+        const label = `scheduled["${dateKey}"] "${scheduled[dateKey].title}"`;
+        const result = await transform(scheduled[dateKey], label, dateKey);
+        scheduled[dateKey] = result.entry;
+        if (result.changed) changedCount++;
+    }
+
+    const outPath = resolve(options.out || options.config);
+    writeFileSync(outPath, JSON.stringify(config, null, 2) + '\n');
+    console.log(`✓ ${options.decode ? 'Decoded' : 'Encoded'} ${changedCount} puzzle(s) → ${outPath}`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+// Helpers shared by the Node tools for reading articles-config.json
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { configDateToISO, decodeAnswer, isEncodedAnswer } from '../lib/answer-codec.js';
+import { getEntrySource } from '../lib/article-sources.js';
+import { getReplacements, withAnswerPairs } from '../lib/puzzle-entry.js';
+
+export function loadConfig(configPath = 'articles-config.json') {
+    return JSON.parse(readFileSync(resolve(configPath), 'utf8'));
+}
+
+export function listPuzzles(config) {
+    // Every puzzle in the config with a readable label, the date it's keyed by and its article source
+    const puzzles = [];
+    (config.articles || []).forEach((entry, index) => {
+        puzzles.push({
+            label: `articles[${index}] "${entry.title}"`,
+            entry: entry,
+            dateString: configDateToISO(entry.date),
+            source: getEntrySource(entry, config)
+        });
+    });
+    Object.keys(config.scheduled || {}).forEach(dateKey => {
+        const entry = config.scheduled[dateKey];
+        puzzles.push({
+            label: `scheduled["${dateKey}"] "${entry.title}"`,
+            entry: entry,
+            dateString: configDateToISO(entry.date) || dateKey,
+            source: getEntrySource(entry, config)
+        });
+    });
+    return puzzles;
+}
+
+export async function resolveReplacements(puzzle) {
+    // Plain replacements for a puzzle, decoding them if the config is encoded
+    const { entry, dateString } = puzzle;
+    if (isEncodedAnswer(entry)) {
+        const pairs = await decodeAnswer(entry.answer, dateString);
+        return getReplacements(withAnswerPairs(entry, pairs));
+    }
+    return getReplacements(entry);
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Freezes the article summary behind each puzzle into article-snapshots.json, so later
+// edits to an article can't remove the word a puzzle replaces.
+//
+//   node scripts/snapshot-articles.js                  snapshot puzzles that don't have one yet
+//   node scripts/snapshot-articles.js --refresh        re-fetch every snapshot
+//   node scripts/snapshot-articles.js --title "Moon"   only (re)snapshot one article
+//
+// Options: --config <file> (default articles-config.json), --snapshots <file> (default article-snapshots.json)
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { getSnapshotKey } from '../lib/article-sources.js';
+import { checkReplacements } from '../lib/word-replacement.js';
+import { listPuzzles, loadConfig, resolveReplacements } from './puzzle-config.js';
+import { fetchSummary } from './summaries.js';
+
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+function parseArgs(argv) {
+    const options = { config: 'articles-config.json', snapshots: 'article-snapshots.json', refresh: false, title: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--refresh') {
+            options.refresh = true;
+        } else if (arg === '--title') {
+            options.title = argv[++i];
+        } else if (arg === '--config') {
+            options.config = argv[++i];
+        } else if (arg === '--snapshots') {
+            options.snapshots = argv[++i];
+        }
+    }
+    return options;
+}
+
+function loadSnapshots(snapshotPath) {
+    if (!existsSync(snapshotPath)) {
+        return { version: SNAPSHOT_FORMAT_VERSION, snapshots: {} };
+    }
+    return JSON.parse(readFileSync(snapshotPath, 'utf8'));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadConfig(options.config);
+    const snapshotPath = resolve(options.snapshots);
+    const store = loadSnapshots(snapshotPath);
+
+    const puzzles = listPuzzles(config)
+        .filter(puzzle => puzzle.entry.title && !puzzle.entry.extract)
+        .filter(puzzle => !options.title || puzzle.entry.title === options.title);
+
+    let savedCount = 0;
+    let warningCount = 0;
+
+    for (const puzzle of puzzles) {
+        const title = puzzle.entry.title;
+        const key = getSnapshotKey(title, puzzle.source);
+        if (store.snapshots[key] && !options.refresh && !options.title) {
+            continue;
+        }
+
+        let summary;
+        try {
+            summary = await fetchSummary(title, puzzle.source);
+        } catch (error) {
+            console.error(`✗ ${puzzle.label}: ${error.message}`);
+            warningCount++;
+            continue;
+        }
+
+        // Snapshot anyway, but flag puzzles that wouldn't work on this text
+        const problems = checkReplacements(summary.extract, await resolveReplacements(puzzle));
+        problems.forEach(problem => console.warn(`⚠ ${puzzle.label}: ${problem}`));
+        warningCount += problems.length;
+
+        store.snapshots[key] = {
+            ...summary,
+            snapshotAt: new Date().toISOString()
+        };
+        savedCount++;
+        console.log(`✓ ${key} (revision ${summary.revision || 'unknown'})`);
+    }
+
+    if (savedCount === 0) {
+        console.log(`No snapshots saved${warningCount ? `, ${warningCount} warning(s)` : ''}`);
+        return;
+    }
+
+    store.version = SNAPSHOT_FORMAT_VERSION;
+    writeFileSync(snapshotPath, JSON.stringify(store, null, 2) + '\n');
+    console.log(`Saved ${savedCount} snapshot(s) to ${snapshotPath}${warningCount ? `, ${warningCount} warning(s)` : ''}`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
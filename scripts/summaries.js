@@ -0,0 +1,21 @@
+// Article summary fetching for the Node tools, from whichever source a puzzle uses
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { DEFAULT_SOURCE, LOCAL_ARTICLES_DIRECTORY, getArticleSource, toArticleSummary } from '../lib/article-sources.js';
+
+export async function fetchSummary(title, sourceId = DEFAULT_SOURCE) {
+    const source = getArticleSource(sourceId);
+    if (!source) {
+        throw new Error(`unknown article source ${JSON.stringify(sourceId)}`);
+    }
+
+    if (source.id === 'local') {
+        // The game fetches these over HTTP; the tools read the same files from disk
+        return toArticleSummary(JSON.parse(readFileSync(resolve(LOCAL_ARTICLES_DIRECTORY, `${title}.json`), 'utf8')));
+    }
+
+    return source.fetchSummary(title, {
+        headers: { 'User-Agent': 'DailyTypo-tools (feedback@dailytypo.com)' }
+    });
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// Lints articles-config.json against the rules the game relies on at runtime:
+// unique article dates (each date decides the day a puzzle is shown), valid scheduled
+// keys, the puzzle clock, article sources, the locale, wrong/correct pairs and in-range occurrence settings.
+// Occurrences are checked against article-snapshots.json when a snapshot exists (use
+// check-live-articles.js for the live text).
+//
+//   node scripts/validate-config.js [config] [--snapshots file] [--strict]
+//
+// Exits with status 1 when any puzzle has errors (or warnings, with --strict).
+
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { configDateToISO, isEncodedAnswer } from '../lib/answer-codec.js';
+import { checkArticleSource, getEntrySource, getSnapshotKey } from '../lib/article-sources.js';
+import { checkLocale } from '../lib/i18n.js';
+import { FIRST_GAME_DATE, addDays, checkPuzzleClock } from '../lib/puzzle-clock.js';
+import { getReplacements } from '../lib/puzzle-entry.js';
+import { checkReplacements } from '../lib/word-replacement.js';
+import { loadConfig } from './puzzle-config.js';
+
+function formatConfigDate(dateString) {
+    return dateString.split('-').reverse().join('.');
+}
+
+const KNOWN_FIELDS = [
+    'title', 'wrong', 'correct', 'occurrence', 'wrongOccurrence', 'category', 'date', 'specialDay', 'answer', 'source',
+    // Old format entries
+    'extract', 'thumbnail', 'description', 'replacements', 'originalWord', 'wrongWord', 'errorType'
+];
+
+const KNOWN_REPLACEMENT_FIELDS = ['wrong', 'correct', 'occurrence', 'wrongOccurrence'];
+
+function parseArgs(argv) {
+    const options = { config: 'articles-config.json', snapshots: 'article-snapshots.json', strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--snapshots') {
+            options.snapshots = argv[++i];
+        } else {
+            options.config = arg;
+        }
+    }
+    return options;
+}
+
+function isValidISODate(dateString) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return false;
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function validateEntry(entry, report, snapshots, config) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        report.error('entry must be an object');
+        return;
+    }
+
+    if (!isNonEmptyString(entry.title)) {
+        report.error('missing "title"');
+    }
+
+    Object.keys(entry)
+        .filter(field => !KNOWN_FIELDS.includes(field))
+        .forEach(field => report.warn(`unknown field "${field}"`));
+
+    if (entry.source !== undefined) {
+        checkArticleSource(entry.source).forEach(problem => report.error(problem));
+    }
+
+    ['category', 'specialDay'].forEach(field => {
+        if (entry[field] !== undefined && !isNonEmptyString(entry[field])) {
+            report.error(`"${field}" must be a non-empty string`);
+        }
+    });
+
+    if (entry.extract !== undefined) {
+        // Old format: the extract already contains the typo
+        const hasReplacements = Array.isArray(entry.replacements) && entry.replacements.length > 0;
+        if (!hasReplacements && !(isNonEmptyString(entry.wrongWord) && isNonEmptyString(entry.originalWord))) {
+            report.error('old-format entry needs "replacements" or "wrongWord"/"originalWord"');
+        }
+        return;
+    }
+
+    // A v2 entry has either one top-level pair or a "replacements" list
+    const hasList = entry.replacements !== undefined;
+    if (hasList && (!Array.isArray(entry.replacements) || entry.replacements.length === 0)) {
+        report.error('"replacements" must be a non-empty list');
+        return;
+    }
+    if (hasList && (entry.wrong !== undefined || entry.correct !== undefined || entry.occurrence !== undefined || entry.wrongOccurrence !== undefined)) {
+        report.error('has both "replacements" and top-level "wrong"/"correct"/occurrence fields');
+    }
+    const items = hasList ? entry.replacements : [entry];
+    const encoded = isEncodedAnswer(entry);
+    let itemsValid = true;
+
+    items.forEach((item, index) => {
+        const prefix = hasList ? `replacements[${index}]: ` : '';
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            report.error(`${prefix}must be an object`);
+            itemsValid = false;
+            return;
+        }
+        if (hasList) {
+            Object.keys(item)
+                .filter(field => !KNOWN_REPLACEMENT_FIELDS.includes(field))
+                .forEach(field => report.warn(`${prefix}unknown field "${field}"`));
+        }
+        ['occurrence', 'wrongOccurrence'].forEach(field => {
+            if (item[field] !== undefined && !isPositiveInteger(item[field])) {
+                report.error(`${prefix}"${field}" must be a whole number of 1 or more (got ${JSON.stringify(item[field])})`);
+                itemsValid = false;
+            }
+        });
+        if (encoded) {
+            if (item.wrong !== undefined || item.correct !== undefined) {
+                report.error(`${prefix}has both an encoded "answer" and plain "wrong"/"correct"`);
+            }
+            return;
+        }
+        if (!isNonEmptyString(item.wrong)) report.error(`${prefix}missing "wrong"`);
+        if (!isNonEmptyString(item.correct)) report.error(`${prefix}missing "correct"`);
+        if (!isNonEmptyString(item.wrong) || !isNonEmptyString(item.correct)) {
+            itemsValid = false;
+            return;
+        }
+        if (item.wrong === item.correct) {
+            report.error(`${prefix}"wrong" and "correct" are both "${item.wrong}" - the puzzle would have no typo`);
+        }
+    });
+
+    if (encoded) {
+        ['salt', 'iv', 'data'].forEach(field => {
+            if (!isNonEmptyString(entry.answer[field])) {
+                report.error(`encoded "answer" is missing "${field}"`);
+            }
+        });
+        const hashCount = Array.isArray(entry.answer.wrongHashes) ? entry.answer.wrongHashes.length : (entry.answer.wrongHash ? 1 : 0);
+        if (hashCount !== items.length) {
+            report.error(`encoded "answer" has ${hashCount} hash(es) for ${items.length} replacement(s)`);
+        }
+        return;
+    }
+
+    const snapshot = snapshots[getSnapshotKey(entry.title, getEntrySource(entry, config))];
+    if (itemsValid && snapshot && snapshot.extract) {
+        checkReplacements(snapshot.extract, getReplacements(entry))
+            .forEach(problem => report.error(`snapshot: ${problem}`));
+    }
+}
+
+function validateConfig(config, snapshots, configLabel = 'articles-config.json') {
+    const results = [];
+    const topLevel = { label: configLabel, errors: [], warnings: [] };
+    results.push(topLevel);
+
+    if (!config.version) topLevel.warnings.push('missing "version"');
+    if (!Array.isArray(config.articles)) topLevel.errors.push('"articles" must be an array');
+    if (config.scheduled !== undefined && (typeof config.scheduled !== 'object' || Array.isArray(config.scheduled))) {
+        topLevel.errors.push('"scheduled" must be an object keyed by YYYY-MM-DD');
+    }
+    if (config.puzzleClock === undefined) {
+        topLevel.warnings.push('missing "puzzleClock" - puzzle days will change at midnight on each player\'s device');
+    } else {
+        checkPuzzleClock(config.puzzleClock).forEach(problem => topLevel.errors.push(`"puzzleClock" ${problem}`));
+    }
+    if (config.source !== undefined) {
+        checkArticleSource(config.source).forEach(problem => topLevel.errors.push(problem));
+    }
+    if (config.locale !== undefined) {
+        checkLocale(config.locale).forEach(problem => topLevel.errors.push(problem));
+    }
+
+    const makeReport = (label) => {
+        const result = { label, errors: [], warnings: [] };
+        results.push(result);
+        return {
+            error: message => result.errors.push(message),
+            warn: message => result.warnings.push(message)
+        };
+    };
+
+    // Each article is shown on its own date, so dates must be unique; gaps become "no puzzle" days
+    const seenDates = new Map();
+    let previousDate = null;
+    (Array.isArray(config.articles) ? config.articles : []).forEach((entry, index) => {
+        const report = makeReport(`articles[${index}] "${entry && entry.title}"${entry && entry.date ? ` (${entry.date})` : ''}`);
+        validateEntry(entry, report, snapshots, config);
+        if (!entry || typeof entry !== 'object') return;
+
+        const isoDate = configDateToISO(entry.date);
+        if (entry.date === undefined) {
+            report.error('missing "date" (DD.MM.YYYY) - it decides which day the puzzle is shown');
+            return;
+        }
+        if (!isoDate || !isValidISODate(isoDate)) {
+            report.error(`"date" must be a real DD.MM.YYYY date (got ${JSON.stringify(entry.date)})`);
+            return;
+        }
+        if (isoDate < FIRST_GAME_DATE) {
+            report.warn(`date is before the first puzzle (${formatConfigDate(FIRST_GAME_DATE)}) and will never be shown`);
+        }
+        if (seenDates.has(isoDate)) {
+            report.error(`duplicate date ${entry.date} - also used by articles[${seenDates.get(isoDate)}]`);
+            return;
+        }
+        seenDates.set(isoDate, index);
+
+        if (previousDate) {
+            if (isoDate < previousDate) {
+                report.warn(`out of order - comes after ${formatConfigDate(previousDate)}`);
+            } else if (isoDate !== addDays(previousDate, 1)) {
+                report.warn(`no puzzle between ${formatConfigDate(previousDate)} and ${entry.date}`);
+            }
+        }
+        previousDate = isoDate;
+    });
+
+    const scheduled = config.scheduled && typeof config.scheduled === 'object' ? config.scheduled : {};
+    Object.keys(scheduled).forEach(dateKey => {
+        const entry = scheduled[dateKey];
+        const report = makeReport(`scheduled["${dateKey}"] "${entry && entry.title}"`);
+        if (!isValidISODate(dateKey)) {
+            report.error('key must be a real YYYY-MM-DD date');
+        } else if (dateKey < FIRST_GAME_DATE) {
+            report.warn(`date is before the first puzzle (${FIRST_GAME_DATE}) and will never be shown`);
+        } else if (seenDates.has(dateKey)) {
+            report.warn(`replaces articles[${seenDates.get(dateKey)}] on that day`);
+        }
+        validateEntry(entry, report, snapshots, config);
+        if (entry && entry.date !== undefined && configDateToISO(entry.date) !== dateKey) {
+            report.error(`"date" ${JSON.stringify(entry.date)} doesn't match the scheduled key ${dateKey}`);
+        }
+    });
+
+    return results;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadConfig(options.config);
+    const snapshotPath = resolve(options.snapshots);
+    const snapshots = existsSync(snapshotPath) ? JSON.parse(readFileSync(snapshotPath, 'utf8')).snapshots || {} : {};
+
+    const results = validateConfig(config, snapshots, options.config);
+    let errorCount = 0;
+    let warningCount = 0;
+
+    results
+        .filter(result => result.errors.length > 0 || result.warnings.length > 0)
+        .forEach(result => {
+            console.log(`${result.errors.length > 0 ? '✗' : '⚠'} ${result.label}`);
+            result.errors.forEach(message => console.log(`    error: ${message}`));
+            result.warnings.forEach(message => console.log(`    warning: ${message}`));
+            errorCount += result.errors.length;
+            warningCount += result.warnings.length;
+        });
+
+    const puzzleCount = results.length - 1;
+    if (errorCount > 0 || (options.strict && warningCount > 0)) {
+        console.log(`\n${errorCount} error(s), ${warningCount} warning(s) in ${puzzleCount} puzzle(s).`);
+        process.exit(1);
+    }
+    console.log(`✓ ${puzzleCount} puzzle(s) valid${warningCount ? `, ${warningCount} warning(s)` : ''}.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+}
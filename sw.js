@@ -0,0 +1,156 @@
+// Service worker - keeps The Daily Typo playable offline
+// App shell and articles-config.json are pre-cached on install; article snapshots and
+// Wikipedia summaries are cached as they're fetched, and the page asks for the next few
+// days' summaries up front.
+
+const CACHE_VERSION = 'v15';
+const SHELL_CACHE = `daily-typo-shell-${CACHE_VERSION}`;
+const ARTICLE_CACHE = `daily-typo-articles-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/game.js',
+    '/lib/answer-codec.js',
+    '/lib/article-sources.js',
+    '/lib/article-text.js',
+    '/lib/game-engine.js',
+    '/lib/i18n.js',
+    '/lib/progress-transfer.js',
+    '/lib/puzzle-clock.js',
+    '/lib/puzzle-entry.js',
+    '/lib/result-card.js',
+    '/lib/schedule.js',
+    '/lib/stats.js',
+    '/lib/word-replacement.js',
+    '/locales/de.js',
+    '/locales/en.js',
+    '/articles-config.json',
+    '/site.webmanifest',
+    '/favicon.svg',
+    '/favicon-96x96.png',
+    '/apple-touch-icon.png'
+];
+
+// Data files the game fetches with a cache-busting timestamp
+const DATA_PATHS = ['/articles-config.json', '/article-snapshots.json'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('daily-typo-') && key !== SHELL_CACHE && key !== ARTICLE_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'PRECACHE_ARTICLES' && Array.isArray(data.urls)) {
+        event.waitUntil(precacheArticles(data.urls));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (DATA_PATHS.includes(url.pathname)) {
+            // Always store and look up the bare path, ignoring the timestamp
+            event.respondWith(networkFirst(request, SHELL_CACHE, url.pathname));
+            return;
+        }
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        return;
+    }
+
+    if (isSummaryRequest(url)) {
+        event.respondWith(networkFirst(request, ARTICLE_CACHE));
+        return;
+    }
+
+    if (url.hostname === 'upload.wikimedia.org') {
+        // Article thumbnails never change for a given URL
+        event.respondWith(cacheFirst(request, ARTICLE_CACHE));
+    }
+});
+
+function isSummaryRequest(url) {
+    // Any REST summary endpoint, so puzzles from other wikis or a custom REST base work offline too
+    return url.pathname.includes('/page/summary/');
+}
+
+async function precacheArticles(urls) {
+    const cache = await caches.open(ARTICLE_CACHE);
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            // Offline or blocked - the summary will be cached when it's next played
+        }
+    }));
+}
+
+async function networkFirst(request, cacheName, cacheKey = null) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey || request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey || request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+}
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    DEFAULT_SOURCE, checkArticleSource, getArticleSource, getEntrySource, getSnapshotKey, resolveArticleSource
+} from '../lib/article-sources.js';
+
+describe('built-in sources', () => {
+    it('builds summary and article URLs for each wiki', () => {
+        const simple = getArticleSource();
+        assert.equal(simple.id, DEFAULT_SOURCE);
+        assert.equal(simple.getSummaryUrl('New York City'), 'https://simple.wikipedia.org/api/rest_v1/page/summary/New%20York%20City');
+        assert.equal(simple.getArticleUrl('New York City'), 'https://simple.wikipedia.org/wiki/New_York_City');
+        assert.equal(getArticleSource('enwiki').getArticleUrl('Moon'), 'https://en.wikipedia.org/wiki/Moon');
+        assert.equal(getArticleSource('dewiki').getSummaryUrl('Mond'), 'https://de.wikipedia.org/api/rest_v1/page/summary/Mond');
+    });
+
+    it('serves local articles from JSON files', () => {
+        const local = getArticleSource('local');
+        assert.equal(local.getSummaryUrl('Sea Otter'), 'local-articles/Sea%20Otter.json');
+        assert.equal(local.getArticleUrl('Sea Otter'), local.getSummaryUrl('Sea Otter'));
+    });
+
+    it('fetches summaries in one shape', async (t) => {
+        t.mock.method(globalThis, 'fetch', async (url) => ({
+            ok: true,
+            json: async () => ({ title: 'Moon', extract: 'The Moon...', thumbnail: { source: 'moon.jpg' }, revision: '12', url })
+        }));
+        const summary = await getArticleSource('enwiki').fetchSummary('Moon');
+        assert.deepEqual(summary, { title: 'Moon', extract: 'The Moon...', thumbnail: 'moon.jpg', description: null, revision: '12', timestamp: null });
+        assert.equal(globalThis.fetch.mock.calls[0].arguments[0], 'https://en.wikipedia.org/api/rest_v1/page/summary/Moon');
+    });
+
+    it('rejects failed responses', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 404 }));
+        await assert.rejects(getArticleSource('local').fetchSummary('Nope'), /HTTP 404/);
+    });
+});
+
+describe('custom REST base', () => {
+    it('uses the base for summaries and the site for articles', () => {
+        const source = getArticleSource('https://wiki.example.org/api/rest_v1/');
+        assert.equal(source.getSummaryUrl('Cat'), 'https://wiki.example.org/api/rest_v1/page/summary/Cat');
+        assert.equal(source.getArticleUrl('Black cat'), 'https://wiki.example.org/wiki/Black_cat');
+        assert.equal(source.name, 'wiki.example.org');
+        assert.equal(getArticleSource('https://wiki.example.org/api/rest_v1/'), source);
+    });
+});
+
+describe('choosing a source', () => {
+    it('prefers the entry, then the config, then the default', () => {
+        assert.equal(getEntrySource({ source: 'dewiki' }, { source: 'enwiki' }), 'dewiki');
+        assert.equal(getEntrySource({}, { source: 'enwiki' }), 'enwiki');
+        assert.equal(getEntrySource({}, null), DEFAULT_SOURCE);
+    });
+
+    it('falls back to the default for an unknown source', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        assert.equal(resolveArticleSource({ title: 'Cat', source: 'frwiki' }, null).id, DEFAULT_SOURCE);
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    it('checks source settings', () => {
+        assert.deepEqual(checkArticleSource('local'), []);
+        assert.deepEqual(checkArticleSource('https://example.org/api/rest_v1'), []);
+        assert.equal(checkArticleSource('frwiki').length, 1);
+        assert.equal(checkArticleSource('ftp://example.org').length, 1);
+    });
+
+    it('keeps plain title snapshot keys for the default source', () => {
+        assert.equal(getSnapshotKey('Moon'), 'Moon');
+        assert.equal(getSnapshotKey('Mond', 'dewiki'), 'dewiki:Mond');
+    });
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    correctPhraseText, correctWordText, findWords, getSentenceRange, isNearMatch, isPhrase, normalizeWord, splitArticle, wordPattern
+} from '../lib/article-text.js';
+
+describe('splitting an article', () => {
+    it('numbers words across paragraphs and keeps the whitespace', () => {
+        const { paragraphs, tokens } = splitArticle('One two.\n\nThree  four.\n\n\n');
+        assert.deepEqual(tokens.map(token => token.text), ['One', 'two.', 'Three', 'four.']);
+        assert.deepEqual(tokens.map(token => token.paragraph), [0, 0, 1, 1]);
+        assert.deepEqual(paragraphs[1], [
+            { text: 'Three', tokenIndex: 2 },
+            { text: '  ', tokenIndex: null },
+            { text: 'four.', tokenIndex: 3 }
+        ]);
+    });
+
+    it('handles a missing extract', () => {
+        assert.deepEqual(splitArticle(undefined), { paragraphs: [], tokens: [] });
+    });
+});
+
+describe('sentences', () => {
+    it('stops at sentence ends and paragraph breaks', () => {
+        const { tokens } = splitArticle('He said "Stop." Then he left\n\nAnother one.');
+        assert.deepEqual(getSentenceRange(tokens, 3), { first: 3, last: 5 });
+        assert.deepEqual(getSentenceRange(tokens, 0), { first: 0, last: 2 });
+        assert.deepEqual(getSentenceRange(tokens, 6), { first: 6, last: 7 });
+    });
+
+    it('ends at full stops of other scripts and closing quotes', () => {
+        const { tokens } = splitArticle('東京は首都です。 大阪は都市です。 «Fin.» Done');
+        assert.deepEqual(getSentenceRange(tokens, 1), { first: 1, last: 1 });
+        assert.deepEqual(getSentenceRange(tokens, 3), { first: 3, last: 3 });
+    });
+});
+
+describe('finding words', () => {
+    it('keeps apostrophes, hyphens and number separators inside a word', () => {
+        assert.deepEqual(findWords("«Can't» Jean-Luc, 8,848 m; 3.14…").map(word => word.text), ["Can't", 'Jean-Luc', '8,848', 'm', '3.14']);
+        assert.deepEqual(findWords('(Tōkyō)'), [{ text: 'Tōkyō', start: 1, end: 6 }]);
+    });
+
+    it('matches whole words only', () => {
+        const count = (word, text, flags = 'g') => (text.match(wordPattern(word, flags)) || []).length;
+        assert.equal(count('art', 'start art art. (art) art-house'), 3);
+        assert.equal(count('can', "can can't cancan"), 1);
+        assert.equal(count('848', '8,848 848'), 1);
+        assert.equal(count('Côte', 'Côte côte', 'gi'), 2);
+        assert.equal(count('(1999)', 'in (1999).'), 1);
+    });
+});
+
+describe('comparing words', () => {
+    it('ignores case and punctuation', () => {
+        assert.equal(normalizeWord('"Cheese,"'), 'cheese');
+    });
+
+    it('keeps letters and digits of any script', () => {
+        assert.equal(normalizeWord('Zürich.'), 'zürich');
+        assert.equal(normalizeWord('«Straße»'), 'straße');
+        assert.equal(normalizeWord('東京,'), '東京');
+        assert.equal(normalizeWord('Zu\u0308rich'), normalizeWord('Zürich'));
+    });
+
+    it('keeps apostrophes, hyphens and separators inside a word', () => {
+        assert.equal(normalizeWord('Can’t.'), "can't");
+        assert.equal(normalizeWord('Jean‐Luc,'), 'jean-luc');
+        assert.equal(normalizeWord('8,848.'), '8,848');
+        assert.equal(normalizeWord('—'), '');
+    });
+
+    it('tells phrases from words', () => {
+        assert.equal(isPhrase('New York'), true);
+        assert.equal(isPhrase(' York '), false);
+    });
+
+    it('allows a near match only for similar lengths', () => {
+        assert.equal(isNearMatch('run', 'runs'), true);
+        assert.equal(isNearMatch('the', 'theory'), false);
+        assert.equal(isNearMatch('an', 'and'), false);
+    });
+});
+
+describe('corrections', () => {
+    it('keeps the capital letter and trailing punctuation', () => {
+        assert.equal(correctWordText('Sandwitch.', 'sandwich'), 'Sandwich.');
+        assert.equal(correctWordText('chease', 'cheese'), 'cheese');
+        assert.equal(correctWordText('Zürch!', 'zürich'), 'Zürich!');
+        assert.equal(correctWordText('"Chease,"', 'cheese'), '"Cheese,"');
+        assert.equal(correctWordText('1990s,', '1980s'), '1980s,');
+    });
+
+    it('keeps the punctuation around a phrase', () => {
+        assert.equal(correctPhraseText(['(New', 'Jersey),'], 'new york'), '(New York),');
+        assert.equal(correctPhraseText(['the', 'Big', 'Apple'], 'a big city'), 'a Big City');
+        assert.equal(correctPhraseText(['„Éclair', 'Bäckerei“'], 'éclair konditorei'), '„Éclair Konditorei“');
+    });
+});
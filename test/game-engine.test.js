@@ -0,0 +1,282 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { encodeAnswer } from '../lib/answer-codec.js';
+import { Game, GameStatus, HARD_MODE_TRIES, MAX_TRIES } from '../lib/game-engine.js';
+
+const EXTRACT = 'A hamburger is a sandwitch. You can eat it with cheese.\n\nPeople buy it all over the world, the world likes it.';
+
+function loadGame(typos, options = {}, extract = EXTRACT) {
+    const game = new Game();
+    game.load({ extract, typos, answer: options.answer || null }, options);
+    game.start(1000);
+    return game;
+}
+
+function indexOf(game, text, occurrence = 1) {
+    const indexes = game.tokens.map((token, index) => token.text === text ? index : -1).filter(index => index !== -1);
+    return indexes[occurrence - 1];
+}
+
+describe('loading', () => {
+    it('starts playing with the full number of tries', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        assert.equal(game.status, GameStatus.PLAYING);
+        assert.equal(game.triesRemaining, MAX_TRIES);
+        assert.equal(game.paragraphs.length, 2);
+        assert.equal(game.tokens[4].text, 'sandwitch.');
+        assert.deepEqual(game.getTypoTokens(0), [4]);
+    });
+
+    it('is loading until a puzzle is loaded and after a reset', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        game.reset();
+        assert.equal(game.status, GameStatus.LOADING);
+        assert.equal(game.isPlaying(), false);
+        assert.equal(new Game().status, GameStatus.LOADING);
+    });
+});
+
+describe('guessing', () => {
+    it('wins when only the typo is picked', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        const result = await game.guess([4], 6000);
+        assert.deepEqual(result, { outcome: 'won', hits: [4], misses: [] });
+        assert.equal(game.status, GameStatus.WON);
+        assert.equal(game.elapsedMs, 5000);
+        assert.deepEqual(game.getResult(), { won: true, attempts: 1, timeMs: 5000, hintsUsed: 0, history: ['hit'], hardMode: false });
+    });
+
+    it('counts the typo picked together with another word as a miss', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        const result = await game.guess([4, 2]);
+        assert.equal(result.outcome, 'miss');
+        assert.deepEqual(result.misses, [4, 2]);
+        assert.equal(game.triesRemaining, MAX_TRIES - 1);
+        assert.deepEqual([...game.missedTokens], [4, 2]);
+    });
+
+    it('loses after the last try', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        assert.equal((await game.guess([1])).outcome, 'miss');
+        assert.equal((await game.guess([2])).outcome, 'miss');
+        assert.equal((await game.guess([3])).outcome, 'lost');
+        assert.equal(game.status, GameStatus.LOST);
+        assert.deepEqual(game.history, ['miss', 'miss', 'miss']);
+        assert.equal(game.getAttemptsUsed(), 3);
+        assert.equal((await game.guess([4])).outcome, 'empty');
+    });
+
+    it('ignores bare punctuation and found typos', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }], {}, 'A sandwitch - with cheese.');
+        assert.equal(game.isPickable(2), false);
+        assert.deepEqual(await game.guess([2]), { outcome: 'empty', hits: [], misses: [] });
+        assert.equal(game.triesRemaining, MAX_TRIES);
+    });
+
+    it('locks in each typo of a multi-typo puzzle and only charges for the misses', async () => {
+        const game = loadGame([
+            { wrong: 'sandwitch', correct: 'sandwich' },
+            { wrong: 'cheese', correct: 'chips' },
+            { wrong: 'likes', correct: 'loves' }
+        ]);
+        const cheese = indexOf(game, 'cheese.');
+        let result = await game.guess([4]);
+        assert.deepEqual(result, { outcome: 'found', hits: [4], misses: [] });
+        assert.equal(game.triesRemaining, MAX_TRIES);
+
+        result = await game.guess([cheese, 0]);
+        assert.deepEqual(result, { outcome: 'miss', hits: [cheese], misses: [0] });
+        assert.equal(game.foundTypos.size, 2);
+        assert.equal(game.isPlaying(), true);
+        assert.equal(game.isPickable(cheese), false);
+    });
+
+    it('only accepts the chosen occurrence of a repeated wrong word', async () => {
+        const game = loadGame([{ wrong: 'world', correct: 'word', wrongOccurrence: 2 }]);
+        const first = indexOf(game, 'world,');
+        const second = indexOf(game, 'world', 1);
+        assert.equal((await game.guess([first])).outcome, 'miss');
+        assert.equal((await game.guess([second])).outcome, 'won');
+    });
+
+    it('matches a phrase only as the whole run of words', async () => {
+        const game = loadGame([
+            { wrong: 'New Jersey', correct: 'New York' },
+            { wrong: 'chease', correct: 'cheese' }
+        ], {}, 'New Jersey has burgers. You can eat it with chease in New Jersey, every day.');
+        assert.equal((await game.guess([1])).outcome, 'miss');
+        const result = await game.guess([0, 1]);
+        assert.deepEqual(result, { outcome: 'found', hits: [0, 1], misses: [] });
+    });
+
+    it('matches a phrase across a dash that cannot be picked', async () => {
+        const game = loadGame([{ wrong: 'Paris – teh', correct: 'Paris – the' }], {}, 'It is Paris – teh city of light.');
+        assert.deepEqual(game.getTypoTokens(0), [2, 3, 4]);
+        assert.equal(game.isPickable(3), false);
+        const result = await game.guess([2, 3, 4]);
+        assert.deepEqual(result, { outcome: 'won', hits: [2, 4], misses: [] });
+    });
+
+    it('matches words with accents and other scripts', async () => {
+        const game = loadGame([{ wrong: 'Zürch', correct: 'Zürich' }], {}, 'Die Stadt Zrch liegt am See. Zürch ist groß.');
+        assert.equal((await game.guess([2])).outcome, 'miss');
+        assert.equal((await game.guess([6])).outcome, 'won');
+    });
+
+    it('accepts near matches in normal mode', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }], {}, 'A sandwitches lunch.');
+        assert.equal((await game.guess([1])).outcome, 'won');
+    });
+});
+
+describe('hard mode', () => {
+    it('has a single try and no hints', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }], { hardMode: true });
+        assert.equal(game.triesRemaining, HARD_MODE_TRIES);
+        assert.equal(game.getHintBlocker(), 'hard-mode');
+        assert.equal((await game.guess([0])).outcome, 'lost');
+    });
+
+    it('only accepts the exact word', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }], { hardMode: true }, 'A sandwitches lunch.');
+        assert.equal((await game.guess([1])).outcome, 'lost');
+    });
+
+    it('can only be switched before the first attempt', async () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        assert.equal(game.setHardMode(true), true);
+        assert.equal(game.triesRemaining, HARD_MODE_TRIES);
+        assert.equal(game.setHardMode(false), true);
+        await game.guess([0]);
+        assert.equal(game.setHardMode(true), false);
+        assert.equal(game.hardMode, false);
+    });
+});
+
+describe('encoded answers', () => {
+    it('checks guesses against the hashes without the words', async () => {
+        const answer = await encodeAnswer([{ wrong: 'sandwitch', correct: 'sandwich' }], '2025-11-05');
+        const game = loadGame([{ wrong: 'sandwitch', correct: null }], { answer });
+        assert.equal((await game.guess([2])).outcome, 'miss');
+        assert.equal((await game.guess([4])).outcome, 'won');
+        assert.equal(game.hasCorrectWords(), false);
+    });
+
+    it('takes near matches the same way as a plain puzzle', async () => {
+        const answer = await encodeAnswer([{ wrong: 'sandwitch', correct: 'sandwich' }], '2025-11-05');
+        const extract = 'A sandwitches lunch.';
+        assert.equal((await loadGame([{ wrong: 'sandwitch', correct: null }], { answer }, extract).guess([1])).outcome, 'won');
+        assert.equal((await loadGame([{ wrong: 'sandwitch', correct: null }], { answer, hardMode: true }, extract).guess([1])).outcome, 'lost');
+    });
+});
+
+describe('hints', () => {
+    it('goes from paragraph to sentence to first letter, one attempt each', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        assert.deepEqual(game.getHintLevels(), ['paragraph', 'sentence', 'letter']);
+        assert.deepEqual(game.takeHint(), { level: 'paragraph', typoIndex: 0, tokens: [4] });
+        assert.equal(game.triesRemaining, MAX_TRIES - 1);
+        assert.equal(game.takeHint().level, 'sentence');
+        assert.equal(game.getHintBlocker(), 'last-attempt');
+        assert.throws(() => game.takeHint(), /last-attempt/);
+        assert.deepEqual(game.history, ['hint', 'hint']);
+    });
+
+    it('skips the paragraph hint for a one-paragraph article', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }], {}, 'A hamburger is a sandwitch. You can eat it.');
+        assert.deepEqual(game.getHintLevels(), ['sentence', 'letter']);
+        assert.deepEqual(game.getSentenceTokens(game.takeHint().tokens[0]), [0, 1, 2, 3, 4]);
+    });
+
+    it('points at the first typo not found yet', async () => {
+        const game = loadGame([
+            { wrong: 'sandwitch', correct: 'sandwich' },
+            { wrong: 'cheese', correct: 'chips' }
+        ]);
+        await game.guess([4]);
+        assert.equal(game.getHintTarget().typoIndex, 1);
+    });
+
+    it('is blocked before the game starts and after it ends', async () => {
+        const game = new Game();
+        game.load({ extract: EXTRACT, typos: [{ wrong: 'sandwitch', correct: 'sandwich' }] });
+        assert.equal(game.getHintBlocker(), 'not-playing');
+        game.start(1000);
+        await game.guess([4]);
+        assert.equal(game.getHintBlocker(), 'not-playing');
+    });
+});
+
+describe('progress', () => {
+    it('restores a saved game onto the same puzzle', async () => {
+        const typos = [
+            { wrong: 'sandwitch', correct: 'sandwich' },
+            { wrong: 'cheese', correct: 'chips' }
+        ];
+        const game = loadGame(typos);
+        await game.guess([4, 0]);
+        game.takeHint();
+        const saved = JSON.parse(JSON.stringify(game.toProgress()));
+
+        const restored = new Game();
+        restored.load({ extract: EXTRACT, typos });
+        restored.restore(saved);
+        assert.deepEqual(restored.toProgress(), game.toProgress());
+        assert.deepEqual([...restored.foundTokens], [4]);
+        assert.equal(restored.isUnderway(), true);
+    });
+
+    it('never restores a game with no tries left', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: 'sandwich' }]);
+        game.restore({ triesRemaining: 0, hintsUsed: 9 }, 100);
+        assert.equal(game.triesRemaining, 1);
+        assert.equal(game.hintsUsed, game.getHintLevels().length);
+        assert.equal(game.startedAt, 100);
+    });
+});
+
+describe('reveal', () => {
+    it('replaces each wrong word with its correct word', () => {
+        const game = loadGame([
+            { wrong: 'sandwitch', correct: 'Sandwich' },
+            { wrong: 'world', correct: 'word', wrongOccurrence: 2 }
+        ]);
+        assert.deepEqual(game.getCorrections(), [
+            { start: 4, length: 1, text: 'sandwich.' },
+            { start: indexOf(game, 'world'), length: 1, text: 'word' }
+        ]);
+    });
+
+    it('leaves words that only contain the wrong word alone', () => {
+        const game = loadGame([
+            { wrong: 'art', correct: 'music' },
+            { wrong: 'cat', correct: 'dog' }
+        ], {}, 'The art is part of it. A cat sees cats.');
+        assert.deepEqual(game.getCorrections(), [
+            { start: 1, length: 1, text: 'music' },
+            { start: 7, length: 1, text: 'dog' }
+        ]);
+        assert.equal(game.tokens[3].text, 'part');
+        assert.equal(game.tokens[9].text, 'cats.');
+    });
+
+    it('replaces a phrase as one run, keeping its punctuation', () => {
+        const game = loadGame([{ wrong: 'New Jersey', correct: 'New York', wrongOccurrence: 2 }], {}, 'New Jersey has burgers, in New Jersey, every day.');
+        assert.deepEqual(game.getCorrections(), [{ start: 5, length: 2, text: 'New York,' }]);
+    });
+
+    it('replaces a phrase with a dash inside as the whole run', () => {
+        const game = loadGame([{ wrong: 'Paris – teh', correct: 'Paris – the' }], {}, 'It is Paris – teh city.');
+        assert.deepEqual(game.getCorrections(), [{ start: 2, length: 3, text: 'Paris – the' }]);
+    });
+
+    it('waits for the correct words of an encoded puzzle', () => {
+        const game = loadGame([{ wrong: 'sandwitch', correct: null }]);
+        assert.deepEqual(game.getCorrections(), []);
+        game.setCorrectWords(['sandwich']);
+        assert.equal(game.hasCorrectWords(), true);
+        assert.equal(game.getCorrections().length, 1);
+        game.revealAll();
+        assert.equal(game.getHintTarget().typoIndex, -1);
+    });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkLocale, createTranslator, formatDate, formatMonth, getWeekdayNames } from '../lib/i18n.js';
+import englishMessages from '../locales/en.js';
+import germanMessages from '../locales/de.js';
+
+describe('translating', () => {
+    it('fills in placeholders', () => {
+        const t = createTranslator('en', { greeting: 'Hello {name}, {name}!' });
+        assert.equal(t('greeting', { name: 'Ada' }), 'Hello Ada, Ada!');
+        assert.equal(t('greeting'), 'Hello {name}, {name}!');
+    });
+
+    it('picks the plural form for the count', () => {
+        const t = createTranslator('en', englishMessages);
+        assert.equal(t('game.attemptsRemaining', { count: 1 }), '1 attempt remaining');
+        assert.equal(t('game.attemptsRemaining', { count: 0 }), '0 attempts remaining');
+        assert.equal(createTranslator('de', germanMessages)('blitz.points', { count: 3 }), '3 Punkte');
+    });
+
+    it('falls back to English, then to the key', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const translate = createTranslator('de', { 'game.correct': 'Richtig!' }, englishMessages);
+        assert.equal(translate('game.correct'), 'Richtig!');
+        assert.equal(translate('game.clear'), 'Clear');
+        assert.equal(translate('no.such.key'), 'no.such.key');
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    it('has every English message in each locale with the same placeholders', () => {
+        const placeholders = message => JSON.stringify(message).match(/\{\w+\}/g)?.sort() || [];
+        Object.entries(englishMessages).forEach(([key, message]) => {
+            assert.ok(key in germanMessages, `de is missing ${key}`);
+            assert.deepEqual([...new Set(placeholders(germanMessages[key]))], [...new Set(placeholders(message))], key);
+        });
+    });
+
+    it('checks locale settings', () => {
+        assert.deepEqual(checkLocale('de'), []);
+        assert.equal(checkLocale('fr').length, 1);
+    });
+});
+
+describe('dates', () => {
+    it('formats puzzle days in the locale without a timezone shift', () => {
+        const long = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+        assert.equal(formatDate('2025-11-04', 'en', long), 'Tuesday, November 4, 2025');
+        assert.equal(formatDate('2025-11-04', 'de', long), 'Dienstag, 4. November 2025');
+    });
+
+    it('names months and weekdays starting on Monday', () => {
+        assert.equal(formatMonth(2025, 3, 'de'), 'März 2025');
+        assert.deepEqual(getWeekdayNames('en'), ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    });
+});
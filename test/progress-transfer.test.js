@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ProgressImportError, buildProgressExport, encodeProgressCode, mergeCompletions, parseProgressExport } from '../lib/progress-transfer.js';
+
+const COMPLETIONS = {
+    '2025-11-01': { completed: true, won: true, completedAt: '2025-11-01T12:00:00.000Z', mode: 'daily', attempts: 2, history: ['miss', 'hit'] },
+    '2025-11-02': { completed: true, won: false, completedAt: '2025-11-03T09:00:00.000Z', mode: 'archive', attempts: 3, history: ['miss', 'hint', 'miss'] }
+};
+
+function exportData(completions = COMPLETIONS) {
+    return buildProgressExport(completions, { played: 2 }, new Date('2025-11-05T10:00:00.000Z'));
+}
+
+describe('exporting and importing', () => {
+    it('reads back an export file', () => {
+        assert.deepEqual(parseProgressExport(JSON.stringify(exportData())), COMPLETIONS);
+    });
+
+    it('reads back a text code, with or without line breaks', () => {
+        const code = encodeProgressCode(exportData());
+        assert.ok(code.startsWith('DTP1:'));
+        assert.deepEqual(parseProgressExport(code), COMPLETIONS);
+        assert.deepEqual(parseProgressExport(`  ${code.slice(0, 20)}\n${code.slice(20)}\n`), COMPLETIONS);
+    });
+
+    it('rejects a truncated or corrupted code', () => {
+        const code = encodeProgressCode(exportData());
+        assert.throws(() => parseProgressExport(code.slice(0, code.length - 12)), /not a Daily Typo progress/);
+        assert.throws(() => parseProgressExport(`DTP1:${'@'.repeat(40)}`), /not a Daily Typo progress/);
+        assert.throws(() => parseProgressExport('{"app":"something-else","version":1,"completions":{}}'), /not a Daily Typo progress/);
+    });
+
+    it('rejects another version', () => {
+        const data = { ...exportData(), version: 2 };
+        assert.throws(() => parseProgressExport(JSON.stringify(data)), /Unsupported progress file version: 2/);
+    });
+
+    it('says what is wrong as a code the game can translate', () => {
+        const data = exportData({ '2025-11-01': { completed: true, timeMs: 'slow' } });
+        assert.throws(() => parseProgressExport(JSON.stringify(data)), error =>
+            error instanceof ProgressImportError && error.code === 'invalid-field' &&
+            error.params.date === '2025-11-01' && error.params.field === 'timeMs');
+        assert.throws(() => parseProgressExport(JSON.stringify({ ...exportData(), version: 9 })), { code: 'unsupported-version', params: { version: 9 } });
+        assert.throws(() => parseProgressExport('not a code'), { code: 'not-progress' });
+    });
+
+    it('rejects entries that would break the stats', () => {
+        const data = exportData({ '2025-11-01': { completed: true, attempts: -1 } });
+        assert.throws(() => parseProgressExport(JSON.stringify(data)), /"attempts" for 2025-11-01/);
+        assert.throws(() => parseProgressExport(JSON.stringify(exportData({ '1.11.2025': { completed: true } }))), /not a YYYY-MM-DD date/);
+    });
+});
+
+describe('merging', () => {
+    const local = {
+        '2025-11-02': { completed: true, won: false, completedAt: '2025-11-03T09:00:00.000Z', mode: 'archive' }
+    };
+
+    it('adds days that are only in the import', () => {
+        const result = mergeCompletions(local, { '2025-11-04': COMPLETIONS['2025-11-01'] });
+        assert.deepEqual(result.added, ['2025-11-04']);
+        assert.equal(Object.keys(result.merged).length, 2);
+    });
+
+    it('takes an imported entry completed after the local one', () => {
+        const newer = { completed: true, won: true, completedAt: '2025-11-04T09:00:00.000Z', mode: 'archive' };
+        const result = mergeCompletions(local, { '2025-11-02': newer });
+        assert.deepEqual(result.updated, ['2025-11-02']);
+        assert.equal(result.merged['2025-11-02'], newer);
+    });
+
+    it('keeps the local entry when the imported one is older', () => {
+        const older = { completed: true, won: true, completedAt: '2025-11-02T20:00:00.000Z', mode: 'archive' };
+        const result = mergeCompletions(local, { '2025-11-02': older });
+        assert.deepEqual(result, { merged: local, added: [], updated: [], unchanged: 1 });
+    });
+
+    it('never replaces a live result with a replay', () => {
+        const live = { '2025-11-01': COMPLETIONS['2025-11-01'] };
+        const replay = { completed: true, won: false, completedAt: '2025-11-04T09:00:00.000Z', mode: 'archive' };
+        assert.equal(mergeCompletions(live, { '2025-11-01': replay }).unchanged, 1);
+        assert.deepEqual(mergeCompletions({ '2025-11-01': replay }, live).updated, ['2025-11-01']);
+    });
+});
@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { describe, it } from 'node:test';
+import {
+    DEFAULT_PUZZLE_CLOCK, FIRST_GAME_DATE, addDays, checkPuzzleClock, dateForPuzzleNumber, daysBetween,
+    getClockOffsetMinutes, getDateParts, getNextPuzzleStart, getPuzzleDate, getPuzzleDayStart,
+    parsePuzzleNumber, puzzleNumberForDate, resolvePuzzleClock
+} from '../lib/puzzle-clock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NEW_YORK = { timeZone: 'America/New_York' };
+const BERLIN = { timeZone: 'Europe/Berlin' };
+
+function at(isoString) {
+    return Date.parse(isoString);
+}
+
+describe('fixed offset clock', () => {
+    const eastern = { utcOffsetMinutes: -300 };
+
+    it('changes day at midnight on the offset', () => {
+        assert.equal(getPuzzleDate(at('2026-03-08T04:59:59Z'), eastern), '2026-03-07');
+        assert.equal(getPuzzleDate(at('2026-03-08T05:00:00Z'), eastern), '2026-03-08');
+        assert.equal(getPuzzleDayStart('2026-03-08', eastern), at('2026-03-08T05:00:00Z'));
+    });
+
+    it('keeps every day 24 hours long across DST dates', () => {
+        ['2026-03-08', '2026-03-29', '2026-10-25', '2026-11-01'].forEach(dateString => {
+            const length = getPuzzleDayStart(addDays(dateString, 1), eastern) - getPuzzleDayStart(dateString, eastern);
+            assert.equal(length, 24 * HOUR_MS, dateString);
+        });
+    });
+
+    it('handles offsets that move the day past the UTC date line', () => {
+        const kiritimati = { utcOffsetMinutes: 14 * 60 };
+        assert.equal(getPuzzleDate(at('2026-12-31T10:00:00Z'), kiritimati), '2027-01-01');
+        assert.equal(getNextPuzzleStart(at('2026-12-31T10:00:00Z'), kiritimati), at('2027-01-01T10:00:00Z'));
+    });
+});
+
+describe('time zone clock', () => {
+    it('follows the zone offset through the spring DST change', () => {
+        assert.equal(getClockOffsetMinutes(at('2026-03-08T06:59:59Z'), NEW_YORK), -300);
+        assert.equal(getClockOffsetMinutes(at('2026-03-08T07:00:00Z'), NEW_YORK), -240);
+    });
+
+    it('makes the spring-forward day 23 hours long', () => {
+        assert.equal(getPuzzleDayStart('2026-03-08', NEW_YORK), at('2026-03-08T05:00:00Z'));
+        assert.equal(getPuzzleDayStart('2026-03-09', NEW_YORK), at('2026-03-09T04:00:00Z'));
+        assert.equal(getPuzzleDate(at('2026-03-09T03:59:59Z'), NEW_YORK), '2026-03-08');
+        assert.equal(getPuzzleDate(at('2026-03-09T04:00:00Z'), NEW_YORK), '2026-03-09');
+    });
+
+    it('makes the fall-back day 25 hours long', () => {
+        assert.equal(getPuzzleDayStart('2026-11-01', NEW_YORK), at('2026-11-01T04:00:00Z'));
+        assert.equal(getPuzzleDayStart('2026-11-02', NEW_YORK), at('2026-11-02T05:00:00Z'));
+        // 01:30 happens twice on the fall-back night - both belong to the same puzzle day
+        assert.equal(getPuzzleDate(at('2026-11-01T05:30:00Z'), NEW_YORK), '2026-11-01');
+        assert.equal(getPuzzleDate(at('2026-11-01T06:30:00Z'), NEW_YORK), '2026-11-01');
+    });
+
+    it('counts down to the next midnight on the clock across a DST change', () => {
+        // Noon on the spring-forward day is 12 hours from the next puzzle
+        assert.equal(getNextPuzzleStart(at('2026-03-08T16:00:00Z'), NEW_YORK) - at('2026-03-08T16:00:00Z'), 12 * HOUR_MS);
+        // At the start of Berlin's autumn-change day the next puzzle is 25 hours away, in spring 23
+        assert.equal(getNextPuzzleStart(at('2026-10-24T22:00:00Z'), BERLIN), at('2026-10-25T23:00:00Z'));
+        assert.equal(getNextPuzzleStart(at('2026-03-28T23:00:00Z'), BERLIN), at('2026-03-29T22:00:00Z'));
+    });
+
+    it('starts the day at the first moment when DST skips midnight', () => {
+        // Chile moves its clocks from 00:00 straight to 01:00
+        const santiago = { timeZone: 'America/Santiago' };
+        const start = getPuzzleDayStart('2026-09-06', santiago);
+        assert.equal(getPuzzleDate(start, santiago), '2026-09-06');
+        assert.equal(getPuzzleDate(start - 1, santiago), '2026-09-05');
+    });
+});
+
+describe('device timezone', () => {
+    // The same moments, worked out in a separate process for each device timezone
+    const script = `
+        import { addDays, getNextPuzzleStart, getPuzzleDate, getPuzzleDayStart, puzzleNumberForDate } from './lib/puzzle-clock.js';
+        const moments = ['2026-03-08T06:30:00Z', '2026-03-29T00:30:00Z', '2026-11-01T05:30:00Z', '2026-12-31T23:30:00Z'];
+        const clocks = [{ utcOffsetMinutes: 0 }, { utcOffsetMinutes: 330 }, { timeZone: 'America/New_York' }];
+        const results = [];
+        moments.forEach(moment => clocks.forEach(clock => {
+            const time = Date.parse(moment);
+            const dateString = getPuzzleDate(time, clock);
+            results.push([dateString, getPuzzleDayStart(dateString, clock), getNextPuzzleStart(time, clock), addDays(dateString, 1), puzzleNumberForDate(dateString)]);
+        }));
+        console.log(JSON.stringify(results));
+    `;
+
+    function runIn(timeZone, source = script) {
+        return execFileSync(process.execPath, ['--input-type=module', '-e', source], {
+            cwd: new URL('..', import.meta.url),
+            env: { ...process.env, TZ: timeZone },
+            encoding: 'utf8'
+        });
+    }
+
+    it('gives every device the same puzzle day and countdown', () => {
+        const expected = runIn('UTC');
+        ['America/Los_Angeles', 'Europe/Berlin', 'Australia/Lord_Howe', 'Pacific/Kiritimati'].forEach(timeZone => {
+            assert.equal(runIn(timeZone), expected, timeZone);
+        });
+    });
+
+    it('changes day at the device\'s own midnight without a configured clock', () => {
+        const defaultClock = `
+            import { DEFAULT_PUZZLE_CLOCK, getNextPuzzleStart, getPuzzleDate } from './lib/puzzle-clock.js';
+            const time = Date.parse('2026-03-08T03:00:00Z');
+            console.log(getPuzzleDate(time, DEFAULT_PUZZLE_CLOCK), new Date(getNextPuzzleStart(time, DEFAULT_PUZZLE_CLOCK)).toISOString());
+        `;
+        assert.equal(runIn('UTC', defaultClock).trim(), '2026-03-08 2026-03-09T00:00:00.000Z');
+        // 22:00 the evening before in New York, where the next day starts at 05:00 UTC
+        assert.equal(runIn('America/New_York', defaultClock).trim(), '2026-03-07 2026-03-08T05:00:00.000Z');
+        // Spring-forward day in New York: the day after starts at 04:00 UTC
+        assert.equal(runIn('America/New_York', defaultClock.replace('2026-03-08T03', '2026-03-08T12')).trim(), '2026-03-08 2026-03-09T04:00:00.000Z');
+    });
+});
+
+describe('puzzle numbers', () => {
+    it('numbers puzzles from the first game', () => {
+        assert.equal(puzzleNumberForDate(FIRST_GAME_DATE), 1);
+        assert.equal(puzzleNumberForDate('2025-10-28'), 2);
+        assert.equal(puzzleNumberForDate('2025-10-01'), 1);
+        assert.equal(dateForPuzzleNumber(1), FIRST_GAME_DATE);
+    });
+
+    it('does not skip or repeat a number across DST changes', () => {
+        // 2025-11-02 and 2026-03-08 are the US changes, 2026-03-29 and 2026-10-25 the European ones
+        let dateString = FIRST_GAME_DATE;
+        for (let number = 1; number <= 400; number++) {
+            assert.equal(puzzleNumberForDate(dateString), number);
+            assert.equal(dateForPuzzleNumber(number), dateString);
+            dateString = addDays(dateString, 1);
+        }
+        assert.equal(daysBetween('2026-03-07', '2026-03-09'), 2);
+        assert.equal(daysBetween('2026-10-31', '2026-11-02'), 2);
+    });
+
+    it('reads puzzle numbers from links up to today\'s puzzle', () => {
+        assert.equal(parsePuzzleNumber('1', '2025-11-05'), FIRST_GAME_DATE);
+        assert.equal(parsePuzzleNumber('10', '2025-11-05'), '2025-11-05');
+        assert.equal(parsePuzzleNumber('11', '2025-11-05'), null);
+        assert.equal(parsePuzzleNumber('100000000', '2025-11-05'), null);
+        assert.equal(parsePuzzleNumber('9'.repeat(400), '2025-11-05'), null);
+        assert.equal(parsePuzzleNumber('0', '2025-11-05'), null);
+        assert.equal(parsePuzzleNumber('-3', '2025-11-05'), null);
+        assert.equal(parsePuzzleNumber('7a', '2025-11-05'), null);
+    });
+
+    it('formats dates without reading them as UTC midnight', () => {
+        assert.deepEqual(getDateParts('2026-03-08'), { year: 2026, month: 3, day: 8, weekday: 0 });
+        assert.deepEqual(getDateParts('2025-10-27'), { year: 2025, month: 10, day: 27, weekday: 1 });
+    });
+});
+
+describe('clock config', () => {
+    it('accepts an offset or a time zone', () => {
+        assert.deepEqual(checkPuzzleClock({ utcOffsetMinutes: -300 }), []);
+        assert.deepEqual(checkPuzzleClock({ timeZone: 'Europe/Berlin' }), []);
+    });
+
+    it('rejects broken clocks', () => {
+        assert.equal(checkPuzzleClock(null).length, 1);
+        assert.equal(checkPuzzleClock({}).length, 1);
+        assert.equal(checkPuzzleClock({ utcOffsetMinutes: 0, timeZone: 'UTC' }).length, 1);
+        assert.equal(checkPuzzleClock({ utcOffsetMinutes: 2.5 }).length, 1);
+        assert.equal(checkPuzzleClock({ utcOffsetMinutes: 15 * 60 }).length, 1);
+        assert.equal(checkPuzzleClock({ timeZone: 'Mars/Olympus_Mons' }).length, 1);
+    });
+
+    it('falls back to the device timezone for a missing or broken clock', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        assert.equal(resolvePuzzleClock(undefined), DEFAULT_PUZZLE_CLOCK);
+        assert.equal(resolvePuzzleClock({ timeZone: 'Mars/Olympus_Mons' }), DEFAULT_PUZZLE_CLOCK);
+        assert.deepEqual(resolvePuzzleClock({ timeZone: 'Europe/Berlin', extra: true }), BERLIN);
+    });
+});
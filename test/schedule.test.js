@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildPuzzle, getPuzzleTypos } from '../lib/puzzle-entry.js';
+import { buildSchedule, getPastPuzzleDates } from '../lib/schedule.js';
+
+describe('schedule', () => {
+    const config = {
+        articles: [
+            { title: 'First' },
+            { title: 'Dated', date: '01.11.2025' },
+            { title: 'Clash', date: '01.11.2025' }
+        ],
+        scheduled: { '2025-11-03': { title: 'Special' }, '2025-10-27': { title: 'Override' } }
+    };
+
+    it('puts each article on its date and lets scheduled entries override', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const schedule = buildSchedule(config);
+        assert.equal(schedule.get('2025-10-27').title, 'Override');
+        assert.equal(schedule.get('2025-11-01').title, 'Dated');
+        assert.equal(schedule.get('2025-11-03').title, 'Special');
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('lists past puzzles oldest first, without today', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const schedule = buildSchedule(config);
+        assert.deepEqual(getPastPuzzleDates(schedule, '2025-11-03'), ['2025-10-27', '2025-11-01']);
+        assert.equal(buildSchedule(null).size, 0);
+    });
+});
+
+describe('puzzle entries', () => {
+    const summary = { extract: 'You can eat it with cheese.', thumbnail: { source: 'x.png' } };
+
+    it('puts the typos into the article summary', () => {
+        const puzzle = buildPuzzle({ title: 'Burger', wrong: 'chease', correct: 'cheese' }, summary);
+        assert.equal(puzzle.extract, 'You can eat it with chease.');
+        assert.equal(puzzle.category, 'General Knowledge');
+        assert.deepEqual(puzzle.thumbnail, { source: 'x.png' });
+        assert.deepEqual(puzzle.typos, [{ wrong: 'chease', correct: 'cheese', wrongOccurrence: null }]);
+    });
+
+    it('reads old entries with the typo already in their extract', () => {
+        const entry = { title: 'Old', extract: 'A sandwitch.', wrongWord: 'sandwitch', originalWord: 'sandwich', category: 'Food' };
+        const puzzle = buildPuzzle(entry);
+        assert.equal(puzzle.extract, 'A sandwitch.');
+        assert.equal(puzzle.category, 'Food');
+        assert.deepEqual(getPuzzleTypos({ extract: 'x', replacements: [{ replacement: 'a', original: 'b' }] }), [{ wrong: 'a', correct: 'b', wrongOccurrence: null }]);
+    });
+});
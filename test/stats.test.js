@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { describe, it } from 'node:test';
+import { calculateMaxStreak, calculateStats, calculateStreak, isLive, isWon } from '../lib/stats.js';
+
+function win(dateString, extra = {}) {
+    return { completed: true, won: true, completedAt: `${dateString}T12:00:00.000Z`, mode: 'daily', ...extra };
+}
+
+describe('results', () => {
+    it('reads old completions without a won field as wins', () => {
+        assert.equal(isWon({ '2025-11-01': { completed: true } }, '2025-11-01'), true);
+        assert.equal(isWon({ '2025-11-01': { completed: true, won: false } }, '2025-11-01'), false);
+        assert.equal(isWon({}, '2025-11-01'), false);
+    });
+
+    it('works out whether an old completion was live from its time on the device', () => {
+        // Old completions are keyed by the device's own days, so they're judged in a process per device timezone
+        const script = `
+            import { isLive } from './lib/stats.js';
+            const completions = {
+                // An evening win in New York, already the next day in UTC
+                '2025-11-01': { completed: true, completedAt: '2025-11-02T01:30:00.000Z' },
+                '2025-11-02': { completed: true, completedAt: '2025-11-04T08:00:00.000Z' }
+            };
+            console.log(isLive(completions, '2025-11-01'), isLive(completions, '2025-11-02'));
+        `;
+        const runIn = timeZone => execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+            cwd: new URL('..', import.meta.url),
+            env: { ...process.env, TZ: timeZone },
+            encoding: 'utf8'
+        }).trim();
+        assert.equal(runIn('America/New_York'), 'true false');
+        assert.equal(runIn('America/Los_Angeles'), 'true false');
+        assert.equal(runIn('UTC'), 'false false');
+    });
+
+    it('ignores completion times once the mode is recorded', () => {
+        const completions = {
+            '2025-11-01': { completed: true, completedAt: '2025-11-05T10:00:00.000Z', mode: 'daily' },
+            '2025-11-02': { completed: true, completedAt: '2025-11-02T10:00:00.000Z', mode: 'archive' }
+        };
+        assert.equal(isLive(completions, '2025-11-01'), true);
+        assert.equal(isLive(completions, '2025-11-02'), false);
+    });
+});
+
+describe('streaks', () => {
+    const completions = {
+        '2025-11-01': win('2025-11-01'),
+        '2025-11-02': win('2025-11-02'),
+        '2025-11-03': win('2025-11-03'),
+        '2025-11-05': win('2025-11-05'),
+        '2025-11-06': win('2025-11-06', { mode: 'archive' })
+    };
+
+    it('counts live wins back from today', () => {
+        assert.equal(calculateStreak(completions, '2025-11-05'), 1);
+        assert.equal(calculateStreak(completions, '2025-11-04'), 3);
+        assert.equal(calculateStreak(completions, '2025-11-06'), 1);
+        assert.equal(calculateStreak(completions, '2025-11-08'), 0);
+    });
+
+    it('finds the longest run', () => {
+        assert.equal(calculateMaxStreak(completions), 3);
+        assert.equal(calculateMaxStreak({}), 0);
+    });
+});
+
+describe('stats', () => {
+    it('sums up played games', () => {
+        const stats = calculateStats({
+            '2025-11-01': win('2025-11-01', { attempts: 1, timeMs: 4000, hardMode: true }),
+            '2025-11-02': win('2025-11-02', { attempts: 3, timeMs: 8000 }),
+            '2025-11-03': { completed: true, won: false, mode: 'daily', attempts: 3 },
+            '2025-11-04': win('2025-11-04')
+        }, { today: '2025-11-04', maxTries: 3 });
+
+        assert.deepEqual(stats, {
+            played: 4,
+            wins: 3,
+            winPercent: 75,
+            currentStreak: 1,
+            maxStreak: 2,
+            averageTimeMs: 6000,
+            bestTimeMs: 4000,
+            hardModeWins: 1,
+            distribution: { 1: 1, 2: 0, 3: 1 }
+        });
+    });
+
+    it('has nothing to show before the first game', () => {
+        const stats = calculateStats({}, { today: '2025-11-04', maxTries: 3 });
+        assert.equal(stats.winPercent, 0);
+        assert.equal(stats.averageTimeMs, null);
+    });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyWordReplacement, checkReplacement, countOccurrences, countWordTokens, findTokenRuns, findTokenSequence } from '../lib/word-replacement.js';
+
+describe('replacing a word', () => {
+    it('replaces whole words only', () => {
+        assert.equal(applyWordReplacement('Start the art class.', 'art', 'craft'), 'Start the craft class.');
+        assert.equal(applyWordReplacement("You can't, but you can.", 'can', 'may'), "You can't, but you may.");
+        assert.equal(applyWordReplacement('It is 8,848 m, not 848 m.', '848', '948'), 'It is 8,848 m, not 948 m.');
+    });
+
+    it('replaces one occurrence, keeping the case of an insensitive match', () => {
+        assert.equal(applyWordReplacement('Hello, hello and hello.', 'hello', 'howdy', 2), 'Hello, hello and howdy.');
+        assert.equal(applyWordReplacement('Zürich is big. Zürich is old.', 'zürich', 'zürch', 2), 'Zürich is big. Zürch is old.');
+    });
+
+    it('counts the way it replaces', () => {
+        assert.equal(countOccurrences('art, Art and start', 'art'), 1);
+        assert.equal(countOccurrences('Art and start', 'art'), 1);
+    });
+
+    it('reports a correct word that only appears inside other words', () => {
+        assert.deepEqual(checkReplacement('Start the party.', { correct: 'art', wrong: 'craft' }), [
+            'correct word "art" no longer appears in the text'
+        ]);
+    });
+});
+
+describe('finding words among tokens', () => {
+    it('matches tokens by their normalized words', () => {
+        assert.deepEqual(findTokenSequence(['In', '«New', 'York»,', 'new', 'york'], 'New York'), [1, 3]);
+        assert.equal(countWordTokens("Can't stop, can’t stop.", "can't"), 2);
+    });
+
+    it('skips punctuation-only tokens on both sides of a phrase', () => {
+        assert.deepEqual(findTokenRuns(['Paris', '–', 'the', 'city'], 'Paris – the'), [{ start: 0, length: 3 }]);
+        assert.deepEqual(findTokenRuns(['Paris', 'the', 'city'], 'Paris – the'), [{ start: 0, length: 2 }]);
+        assert.equal(countWordTokens('Paris – the city, Paris – the', 'Paris – the'), 2);
+    });
+});